@@ -2,10 +2,45 @@
    - Arbitrary-depth tree (folders & container ops)
    - Inline, expandable cards (no modal required)
    - Single-axis P9811 via radio; P9812 Web/Pocket auto/explicit
+   - Inspection Plus cycles P9813–P9843 with optional letter arguments
    - Context-based G-code emitter (labels, indent, loops)
+   - Controller dialects (Haas NGC, Fanuc, Okuma OSP, Mazak)
+   - Import of existing .NC programs
+   - SVG motion preview (top / front / isometric)
+   - Rule-based validation with per-card issues
+   - Undo / redo history (persisted)
+   - Drag & drop reordering / nesting (+ Alt+Arrow keyboard moves)
+   - .probe.json project files with schema migrations
+   - Program library: several routines per workspace, each with its own header
+   - Subroutines emitted once (M97 local / M98 file) with Call nodes
+   - Named macro variables with #address allocation and conflict checks
+   - Result handling: tolerance checks, position alarms, wear updates, stored results
+   - DPRNT inspection reports (POPEN / DPRNT / PCLOS) with a print preview
+   - Calibration cycles (P9801–P9804) and a ring gauge calibration wizard
+   - Tool setter cycles (P9851 length/radius, P9853 broken tool) and Measure All Tools
+   - Dry run: the generated program stepped through a mock machine
+   - Custom tools: shop macros from G-code templates, shared as library files
+   - Machine profile: travel envelope, probe, feeds and work offsets checked per card
+   - Pattern container: repeat cards over work offsets or a G52 XY grid, unrolled or as a WHILE loop
+   - Auto approach: protected P9810 moves planned to each probe card's start point
+   - mm / inch per program (G21 / G20) with conversion of the routine's values
    - LocalStorage persistence
+   The routine model and emitter live in probe-core.js (shared with cli.js);
+   this file is the editor around them.
 */
 
+// =================== Core (probe-core.js) ===================
+const {
+  DEFAULT_SETTINGS, DEFAULT_PROGRAM_HEADER, uid, makeProgram, makeNode, walk, findNode, collectSubroutines,
+  CONTROLLERS, dialectFor, TOOLS, TOOL_BY_ID, UI_SCHEMAS, PROBE_RESULTS, toLabel,
+  UNITS, unitsOf, fromMm, fieldStep, convertUnits, gcodeUnits,
+  PROJECT_FORMAT, PROJECT_SCHEMA_VERSION, migrateProject,
+  CUSTOM_CATEGORIES, CUSTOM_PARAM_TYPES, CUSTOM_PARAM_UNITS, normalizeCustomTool, customToolErrors, fillTemplate,
+  registerCustomTools, customToolLibrary, readCustomToolLibrary,
+  allocateVarAddress, addressesInUse, mapMacroNames, isNumeric, varFields,
+  validateTree, issueCounts, parseGCode, simulateProgram,
+} = ProbeCore;
+
 // =================== Small DOM helpers ===================
 const qs  = (s, root = document) => root.querySelector(s);
 const qsa = (s, root = document) => Array.from(root.querySelectorAll(s));
@@ -18,21 +53,40 @@ function el(tag, attrs = {}, ...children) {
     else if (k.startsWith("on") && typeof v === "function") n.addEventListener(k.slice(2).toLowerCase(), v);
     else n.setAttribute(k, v);
   }
-  for (const c of children.flat()) n.append(c instanceof Node ? c : document.createTextNode(String(c)));
+  for (const c of children.flat()) if (c != null) n.append(c instanceof Node ? c : document.createTextNode(String(c)));
+  return n;
+}
+const SVG_NS = "http://www.w3.org/2000/svg";
+function svgEl(tag, attrs = {}, ...children) {
+  const n = document.createElementNS(SVG_NS, tag);
+  for (const [k, v] of Object.entries(attrs)) {
+    if (k === "dataset") Object.assign(n.dataset, v);
+    else if (k.startsWith("on") && typeof v === "function") n.addEventListener(k.slice(2).toLowerCase(), v);
+    else n.setAttribute(k, v);
+  }
+  for (const c of children.flat()) if (c != null) n.append(c instanceof Node ? c : document.createTextNode(String(c)));
   return n;
 }
 
 // =================== Persistence ===================
 const STORAGE_KEY = "renishaw_probe_builder_v2";
 
+// The workspace is stored as a current-schema project plus UI state; older
+// shapes found under the key are upgraded by migrateProject on load.
 function save() {
   // serialize Sets
   const toSave = {
-    tree: state.tree,
-    collapsed: Array.from(state.collapsed),
-    expanded: Array.from(state.expanded),
-    targetParentId: state.targetParentId,
-    showGCode: state.showGCode
+    ...buildProject(),
+    ui: {
+      collapsed: Array.from(state.collapsed),
+      expanded: Array.from(state.expanded),
+      targetParentId: state.targetParentId,
+      showGCode: state.showGCode,
+      showPreview: state.showPreview,
+      previewView: state.previewView,
+      showSim: state.showSim,
+      simResults: state.simResults,
+    },
   };
   localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
 }
@@ -41,269 +95,59 @@ function load() {
   const raw = localStorage.getItem(STORAGE_KEY);
   if (!raw) return;
   try {
-    const s = JSON.parse(raw);
-    if (Array.isArray(s.tree)) state.tree = s.tree;
+    const project = migrateProject(JSON.parse(raw));
+    applyProject(project);
+    const s = project.ui || {};
     if (Array.isArray(s.collapsed)) state.collapsed = new Set(s.collapsed);
     if (Array.isArray(s.expanded)) state.expanded = new Set(s.expanded);
     if (typeof s.targetParentId === "string") state.targetParentId = s.targetParentId;
     if (typeof s.showGCode === "boolean") state.showGCode = s.showGCode;
+    if (typeof s.showPreview === "boolean") state.showPreview = s.showPreview;
+    if (PREVIEW_VIEWS[s.previewView]) state.previewView = s.previewView;
+    if (typeof s.showSim === "boolean") state.showSim = s.showSim;
+    if (s.simResults && typeof s.simResults === "object") state.simResults = s.simResults;
   } catch {}
 }
 
 // =================== State & IDs ===================
 const state = {
-  tree: [],                 // array<Node> at root
+  programs: [],             // array<Program>: { id, header, tree, variables }
+  activeProgramId: null,
+  get tree() { return activeProgram().tree; },  // array<Node> at root of the active program
+  set tree(nodes) { activeProgram().tree = nodes; },
   collapsed: new Set(),     // ids of collapsed containers
   expanded: new Set(),      // ids of cards expanded for inline editing
+  exprInputs: new Set(),    // "id:key" number fields switched to expression input (not saved)
   targetParentId: "root",   // toolbox “Add to” destination
   showGCode: false,
+  controller: "haas",       // CONTROLLERS key the program is emitted for
+  showPreview: false,
+  previewView: "XY",        // PREVIEW_VIEWS key
+  showSim: false,
+  simResults: { "*": {} },  // dry-run errors per result key; "*" = every cycle, "P9814" = that cycle
+  settings: { ...DEFAULT_SETTINGS },
+  meta: { name: "Probe Routine" },  // project metadata saved with .probe.json
+  customTools: [],          // template tool definitions saved with the project (registered into TOOLS)
+  issues: new Map(),        // node id → validation issues (derived, not saved)
 };
 
-const uid = () =>
-  "op_" + (crypto.randomUUID ? crypto.randomUUID() : (Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 8)));
-
-// =================== Tools Registry ===================
-// A tool is a node template with optional "container: true" and a gcode emitter.
-// Inline edit UI is driven by UI_SCHEMAS below.
-
-const TOOLS = [
-  // --------- Organization / Containers ----------
-  {
-    id: "folder",
-    name: "Folder",
-    icon: "📁",
-    desc: "Organize operations",
-    category: "org",
-    container: true,
-    defaultParams: { name: "New Section", note: "" },
-    gcode(op, ctx) {
-      const nm = (op.params.name || "SECTION").toUpperCase();
-      const lines = [
-        `;===== ${nm} =====`,
-        ...(emitChildren(op, ctx, 0)),
-        `;===== END ${nm} =====`,
-        ``,
-      ];
-      return lines;
-    },
-  },
-  {
-    id: "if-block",
-    name: "IF Block",
-    icon: "🧩",
-    desc: "Conditional block",
-    category: "org",
-    container: true,
-    defaultParams: { left: "#100", op: "GT", right: "#101" }, // example: #100 GT #101
-    parameterOptions: { op: ["EQ", "NE", "GT", "GE", "LT", "LE"] },
-    gcode(op, ctx) {
-      const { left, op: cmp, right } = op.params;
-      const lid = ctx.nextLabel();
-      const lines = [
-        `IF [${left} ${cmp} ${right}] GOTO ${lid}`,
-        `; (IF false → skip children)`,
-        `GOTO ${lid}_END`,
-        `N${lid}`,
-        ...emitChildren(op, ctx, 1),
-        `N${lid}_END`,
-        ``,
-      ];
-      return lines;
-    },
-  },
-  {
-    id: "while-block",
-    name: "WHILE Loop",
-    icon: "🔁",
-    desc: "Loop while condition is true",
-    category: "org",
-    container: true,
-    defaultParams: { left: "#100", op: "LT", right: "10" }, // e.g., while #100 LT 10
-    parameterOptions: { op: ["EQ", "NE", "GT", "GE", "LT", "LE"] },
-    gcode(op, ctx) {
-      const { left, op: cmp, right } = op.params;
-      const i = ctx.loopIndex();
-      const lines = [
-        `WHILE [${left} ${cmp} ${right}] DO${i}`,
-        ...emitChildren(op, ctx, 1),
-        `END${i}`,
-        ``,
-      ];
-      return lines;
-    },
-  },
-
-  // --------- Setup ----------
-  {
-    id: "set-work-offset",
-    name: "Work Offset",
-    icon: "🎯",
-    desc: "Set active work offset",
-    category: "setup",
-    defaultParams: { offset: "G54", P: "1" },
-    parameterOptions: { offset: ["G54", "G55", "G56", "G57", "G154"], P: ["1", "2", "3", "4", "5"] },
-    gcode(op) {
-      let s = `${op.params.offset}`;
-      if (op.params.offset === "G154") s += ` P${op.params.P}`;
-      return [s, ""];
-    },
-  },
-  {
-    id: "tool-change",
-    name: "Tool Change",
-    icon: "🔧",
-    desc: "Change to specified tool",
-    category: "setup",
-    defaultParams: { toolNumber: 1, spindleSpeed: 1000, coolant: "M8" },
-    parameterOptions: { coolant: ["M8", "M7", "M9"] },
-    gcode(op) {
-      const { toolNumber, spindleSpeed, coolant } = op.params;
-      return [`T${toolNumber} M6`, `S${spindleSpeed} M3`, `${coolant}`, ``];
-    },
-  },
-  {
-    id: "rapid-move",
-    name: "Rapid Move",
-    icon: "⚡",
-    desc: "G0 rapid positioning",
-    category: "setup",
-    defaultParams: { X: 0, Y: 0, Z: 25 },
-    gcode(op) {
-      const { X, Y, Z } = op.params;
-      return [`G0 X${X} Y${Y} Z${Z}`, ``];
-    },
-  },
-
-  // --------- Probe Ops ----------
-  // P9811 single-axis (X or Y or Z) — radio control
-  {
-    id: "single-touch-axis",
-    name: "Single Touch (P9811)",
-    icon: "📍",
-    desc: "Single-axis touch — choose X or Y or Z",
-    category: "probe",
-    defaultParams: { axis: "X", distance: -10, feed: 10 },
-    gcode(op) {
-      const { axis = "X", distance = -10, feed = 10 } = op.params;
-      const ax = String(axis).toUpperCase();
-      return [`G65 P9811 ${ax}${distance} F${feed}`, ``];
-    },
-  },
-
-  // P9812 Web/Pocket — Auto by Z or explicit mode
-  {
-    id: "web-pocket",
-    name: "Web / Pocket (P9812)",
-    icon: "🧱",
-    desc: "Rectangular web or pocket probing",
-    category: "probe",
-    defaultParams: { mode: "auto", X: 0, Y: 0, Z: "", W: 20, L: 15, feed: 10 },
-    parameterOptions: { mode: ["auto", "web", "pocket"] },
-    gcode(op) {
-      const p = op.params;
-      const isPocket = p.mode === "pocket" || (p.mode === "auto" && p.Z !== "" && p.Z !== null && p.Z !== undefined);
-      const parts = [`G65 P9812`, `X${p.X}`, `Y${p.Y}`, isPocket ? `Z${p.Z}` : null, `W${p.W}`, `L${p.L}`, `F${p.feed}`]
-        .filter(Boolean);
-      return [parts.join(" "), ``];
-    },
-  },
-
-  // Simple P9810 safe position / single point for completeness
-  {
-    id: "safe-approach",
-    name: "Safe Approach (P9810)",
-    icon: "🛡️",
-    desc: "G65 P9810 safe positioning",
-    category: "probe",
-    defaultParams: { X: 0, Y: 0, Z: 25, feed: 1000 },
-    gcode(op) {
-      const { X, Y, Z, feed } = op.params;
-      return [`G65 P9810 X${X} Y${Y} Z${Z} F${feed}`, ``];
-    },
-  },
-];
-
-const TOOL_BY_ID = Object.fromEntries(TOOLS.map(t => [t.id, t]));
-
-// =================== UI Schemas (inline editors) ===================
-// Each function returns an array of field descriptors:
-// { key, type: 'number'|'text'|'radio'|'select', label?, step?, options?, help? }
-const UI_SCHEMAS = {
-  folder: (op) => [
-    { key: "name", type: "text", label: "Name" },
-    { key: "note", type: "text", label: "Note" },
-  ],
-
-  "if-block": (op) => [
-    { key: "left", type: "text", label: "Left" },
-    { key: "op", type: "select", label: "Operator", options: TOOL_BY_ID["if-block"].parameterOptions.op },
-    { key: "right", type: "text", label: "Right" },
-  ],
-
-  "while-block": (op) => [
-    { key: "left", type: "text", label: "Left" },
-    { key: "op", type: "select", label: "Operator", options: TOOL_BY_ID["while-block"].parameterOptions.op },
-    { key: "right", type: "text", label: "Right" },
-  ],
-
-  "set-work-offset": (op) => [
-    { key: "offset", type: "select", label: "Offset", options: TOOL_BY_ID["set-work-offset"].parameterOptions.offset },
-    { key: "P", type: "select", label: "P (for G154)", options: TOOL_BY_ID["set-work-offset"].parameterOptions.P, help: "Only used when offset is G154." },
-  ],
-
-  "tool-change": (op) => [
-    { key: "toolNumber", type: "number", label: "Tool Number", step: 1 },
-    { key: "spindleSpeed", type: "number", label: "Spindle Speed", step: 1 },
-    { key: "coolant", type: "select", label: "Coolant", options: TOOL_BY_ID["tool-change"].parameterOptions.coolant },
-  ],
-
-  "rapid-move": (op) => [
-    { key: "X", type: "number", step: 0.001 },
-    { key: "Y", type: "number", step: 0.001 },
-    { key: "Z", type: "number", step: 0.001 },
-  ],
-
-  "single-touch-axis": (op) => [
-    { key: "axis", type: "radio", label: "Axis", options: ["X", "Y", "Z"], help: "P9811 takes exactly one axis." },
-    { key: "distance", type: "number", label: "Touch Distance", step: 0.001 },
-    { key: "feed", type: "number", label: "Feed (F)", step: 1 },
-  ],
-
-  "web-pocket": (op) => [
-    { key: "mode", type: "radio", label: "Mode", options: [
-      { value: "auto",   label: "Auto (Z→Pocket)" },
-      { value: "web",    label: "Web" },
-      { value: "pocket", label: "Pocket" },
-    ], help: "Auto: blank Z=Web, set Z=Pocket." },
-    { key: "X", type: "number", step: 0.001 },
-    { key: "Y", type: "number", step: 0.001 },
-    { key: "Z", type: "number", step: 0.001, label: "Z (Pocket only)" },
-    { key: "W", type: "number", step: 0.001, label: "Width (W)" },
-    { key: "L", type: "number", step: 0.001, label: "Length (L)" },
-    { key: "feed", type: "number", step: 1, label: "Feed (F)" },
-  ],
-
-  "safe-approach": (op) => [
-    { key: "X", type: "number", step: 0.001 },
-    { key: "Y", type: "number", step: 0.001 },
-    { key: "Z", type: "number", step: 0.001 },
-    { key: "feed", type: "number", step: 1, label: "Feed (F)" },
-  ],
-};
-
-// =================== Tree Utilities ===================
-function walk(list = state.tree, fn, parent = null) {
-  for (const node of list) {
-    if (fn(node, parent) === true) return true;
-    if (Array.isArray(node.children) && walk(node.children, fn, node)) return true;
-  }
-  return false;
+// Core helpers bound to the active program and workspace settings.
+const isDescendant  = (ancestorId, id) => ProbeCore.isDescendant(ancestorId, id, state.tree);
+const eachContainer = (fn) => ProbeCore.eachContainer(fn, state.tree);
+const generateProgramFiles = (dialect = dialectFor(state.controller), program = activeProgram()) =>
+  ProbeCore.generateProgramFiles(dialect, program, state.settings);
+
+// Always returns a program; an empty workspace gets a fresh one.
+function activeProgram() {
+  let p = state.programs.find(pr => pr.id === state.activeProgramId) || state.programs[0];
+  if (!p) state.programs.push(p = makeProgram());
+  state.activeProgramId = p.id;
+  return p;
 }
 
+// =================== Tree Utilities ===================
 function getNode(id) {
-  let out = null;
-  walk(state.tree, (n) => (n.id === id ? (out = n, true) : false));
-  return out;
+  return findNode(id, state.tree);
 }
 
 function getParent(id) {
@@ -337,41 +181,37 @@ function insertNode(node, parentId = "root", index = Infinity) {
   parent.children.splice(index, 0, node);
 }
 
-function isDescendant(maybeAncestorId, id) {
-  const anc = getNode(maybeAncestorId);
-  let found = false;
-  walk(anc?.children || [], (n) => (n.id === id ? (found = true, true) : false));
-  return found;
-}
-
-function eachContainer(fn, list = state.tree) {
-  for (const n of list) {
-    const def = TOOL_BY_ID[n.toolId];
-    if (def?.container) fn(n);
-    if (n.children) eachContainer(fn, n.children);
-  }
-}
-
 // =================== Mutations ===================
 function addNode(toolId, parentId = state.targetParentId) {
-  const t = TOOL_BY_ID[toolId];
-  if (!t) return;
-  const node = {
-    id: uid(),
-    toolId: t.id,
-    name: t.name,
-    icon: t.icon,
-    category: t.category,
-    description: t.desc,
-    params: { ...t.defaultParams },
-    ...(t.container ? { children: [] } : {}),
-  };
+  const made = makeNode(toolId);
+  if (!made) return;
+  // a pattern counts on a common variable nothing else uses yet
+  if (toolId === "pattern") {
+    const address = allocateVarAddress("common", addressesInUse(state.tree, activeProgram().variables), state.settings);
+    if (address !== null) made.params.counter = `#${address}`;
+  }
+  // tool defaults are metric
+  const node = convertUnits([made], "mm", unitsOf(activeProgram().header)).tree[0];
+  recordHistory();
   insertNode(node, parentId, Infinity);
   save(); renderAll();
 }
 
-function updateParams(id, patch) {
+// `units` (from an imported file's G20/G21) is set after the undo snapshot.
+function replaceTree(nodes, units = null) {
+  recordHistory();
+  if (units) activeProgram().header.units = units;
+  state.tree = nodes;
+  state.expanded.clear();
+  state.collapsed.clear();
+  state.targetParentId = "root";
+  save(); renderAll();
+}
+
+// `coalesceKey` merges a run of keystrokes in one field into a single undo step.
+function updateParams(id, patch, coalesceKey = null) {
   const n = getNode(id); if (!n) return;
+  recordHistory(coalesceKey);
   n.params = { ...n.params, ...patch };
   save(); renderAll();
 }
@@ -379,30 +219,61 @@ function updateParams(id, patch) {
 function moveNode(id, targetParentId = "root", index = Infinity) {
   if (id === targetParentId) return;
   if (targetParentId !== "root" && isDescendant(id, targetParentId)) return; // no cycles
-  const node = removeNode(id); if (!node) return;
+  if (!getNode(id)) return;
+  recordHistory();
+  const node = removeNode(id);
   insertNode(node, targetParentId, index);
   save(); renderAll();
 }
 
-async function deleteNode(id) {
+function deleteNode(id) {
   const n = getNode(id);
   if (!n) return;
   const isContainer = !!TOOL_BY_ID[n.toolId]?.container;
   const extra = isContainer && n.children?.length ? ` It contains ${n.children.length} item(s).` : "";
   const ok = window.confirm(`Delete "${isContainer ? (n.params?.name || n.name) : n.name}"?${extra}`);
   if (!ok) return;
+  recordHistory();
   removeNode(id);
   state.expanded.delete(id);
   state.collapsed.delete(id);
   save(); renderAll();
 }
 
+// Move next to (`before` / `after`) or into (`inside`) another card.
+function moveRelative(id, targetId, zone) {
+  if (id === targetId || isDescendant(id, targetId)) return;
+  if (zone === "inside") return moveNode(id, targetId, Infinity);
+  const parent = getParent(targetId);
+  const list = parent ? parent.children : state.tree;
+  let index = list.findIndex(n => n.id === targetId) + (zone === "after" ? 1 : 0);
+  const from = list.findIndex(n => n.id === id);
+  if (from >= 0 && from < index) index--; // removal shifts the target left
+  moveNode(id, parent ? parent.id : "root", index);
+}
+
+// Keyboard nesting: into the container just above, or out to after the parent.
+function indentNode(id) {
+  const parent = getParent(id);
+  const list = parent ? parent.children : state.tree;
+  const prev = list[list.findIndex(n => n.id === id) - 1];
+  if (!prev || !TOOL_BY_ID[prev.toolId]?.container) return;
+  state.collapsed.delete(prev.id);
+  moveNode(id, prev.id, Infinity);
+}
+
+function outdentNode(id) {
+  const parent = getParent(id);
+  if (parent) moveRelative(id, parent.id, "after");
+}
+
 function reorderSibling(id, dir = -1) {
   const parent = getParent(id);
   const list = parent ? parent.children : state.tree;
   const i = list.findIndex(n => n.id === id);
   const j = i + dir;
   if (i < 0 || j < 0 || j >= list.length) return;
+  recordHistory();
   const [m] = list.splice(i, 1);
   list.splice(j, 0, m);
   save(); renderAll();
@@ -423,62 +294,579 @@ function toggleExpanded(id) {
   save(); renderAll();
 }
 
-// =================== G-code Emitter ===================
-function createEmitContext(indent = 0, labelSeed = 1000, loopDepth = 0) {
+// -------- Programs --------
+// Deep copy with new ids; calls are pointed at the copied subroutines.
+function withFreshIds(nodes) {
+  const ids = new Map();
+  const copy = (list) => list.map(n => {
+    const id = uid();
+    ids.set(n.id, id);
+    return { ...n, id, params: { ...n.params }, ...(n.children ? { children: copy(n.children) } : {}) };
+  });
+  const out = copy(nodes);
+  walk(out, (n) => { if (n.toolId === "call-subroutine" && ids.has(n.params.target)) n.params.target = ids.get(n.params.target); });
+  return out;
+}
+
+function nextProgramNumber() {
+  const used = state.programs.map(p => Number(p.header.number)).filter(Number.isFinite);
+  return used.length ? Math.max(...used) + 1 : DEFAULT_PROGRAM_HEADER.number;
+}
+
+function selectProgram(id) {
+  if (id === state.activeProgramId || !state.programs.some(p => p.id === id)) return;
+  state.activeProgramId = id;
+  state.targetParentId = "root";
+  save(); renderAll();
+}
+
+function addProgram() {
+  const name = window.prompt("Program name", "New Program");
+  if (name === null) return;
+  recordHistory();
+  const p = makeProgram({ number: nextProgramNumber(), name: name.trim() || "New Program" });
+  state.programs.push(p);
+  state.activeProgramId = p.id;
+  state.targetParentId = "root";
+  save(); renderAll();
+}
+
+function duplicateProgram(id) {
+  const src = state.programs.find(p => p.id === id); if (!src) return;
+  recordHistory();
+  const p = makeProgram({ ...src.header, number: nextProgramNumber(), name: `${src.header.name} copy` }, withFreshIds(src.tree), src.variables.map(v => ({ ...v, id: uid() })));
+  state.programs.splice(state.programs.indexOf(src) + 1, 0, p);
+  state.activeProgramId = p.id;
+  state.targetParentId = "root";
+  save(); renderAll();
+}
+
+function renameProgram(id) {
+  const p = state.programs.find(pr => pr.id === id); if (!p) return;
+  const name = window.prompt("Program name", p.header.name);
+  if (name === null || !name.trim()) return;
+  recordHistory();
+  p.header = { ...p.header, name: name.trim() };
+  save(); renderAll();
+}
+
+function deleteProgram(id) {
+  const p = state.programs.find(pr => pr.id === id); if (!p) return;
+  if (state.programs.length === 1) { window.alert("A workspace needs at least one program."); return; }
+  if (!window.confirm(`Delete program "${p.header.name}"?`)) return;
+  recordHistory();
+  const i = state.programs.indexOf(p);
+  state.programs.splice(i, 1);
+  if (state.activeProgramId === id) {
+    state.activeProgramId = state.programs[Math.min(i, state.programs.length - 1)].id;
+    state.targetParentId = "root";
+  }
+  save(); renderAll();
+}
+
+// -------- Variables --------
+function addVariable(kind = "common") {
+  const vars = activeProgram().variables;
+  const address = allocateVarAddress(kind, addressesInUse(state.tree, vars), state.settings);
+  if (address === null) { window.alert(`No free address left in the ${kind} range.`); return; }
+  recordHistory();
+  let i = vars.length + 1;
+  while (vars.some(v => v.name === `var${i}`)) i++;
+  vars.push({ id: uid(), name: `var${i}`, kind, address });
+  save(); renderAll();
+}
+
+// Renames also rewrite every expression in the program that used the old name.
+function updateVariable(id, patch, coalesceKey = null) {
+  const v = activeProgram().variables.find(x => x.id === id); if (!v) return;
+  recordHistory(coalesceKey);
+  if (patch.kind && patch.kind !== v.kind) patch.address = allocateVarAddress(patch.kind, activeProgram().variables.filter(x => x !== v), state.settings) ?? v.address;
+  if (patch.name !== undefined && patch.name !== v.name && v.name) {
+    const from = new Map([[v.name, v]]);
+    walk(state.tree, (n) => {
+      for (const f of varFields(n)) n.params[f.key] = mapMacroNames(n.params[f.key], from, () => patch.name);
+    });
+  }
+  Object.assign(v, patch);
+  save(); renderAll();
+}
+
+function deleteVariable(id) {
+  const vars = activeProgram().variables;
+  const i = vars.findIndex(v => v.id === id); if (i < 0) return;
+  recordHistory();
+  vars.splice(i, 1);
+  save(); renderAll();
+}
+
+function updateProgramHeader(patch, coalesceKey = null) {
+  recordHistory(coalesceKey);
+  const p = activeProgram();
+  p.header = { ...p.header, ...patch };
+  save(); renderAll();
+}
+
+// Offers to rescale every length and feed in the routine; expressions stay as typed.
+function setProgramUnits(units) {
+  const p = activeProgram(), from = unitsOf(p.header);
+  if (units === from) return;
+  const conv = convertUnits(p.tree, from, units);
+  const kept = conv.kept ? `\n${conv.kept} macro expression(s) are left as typed.` : "";
+  const convert = conv.converted > 0
+    && window.confirm(`Convert ${conv.converted} value(s) from ${UNITS[from].label} to ${UNITS[units].label}?${kept}\nCancel switches units without converting.`);
+  recordHistory();
+  p.header = { ...p.header, units };
+  if (convert) p.tree = conv.tree;
+  save(); renderAll();
+}
+
+// =================== Project Files ===================
+// Saving and opening .probe.json projects; the format and its migrations live in probe-core.js.
+
+function buildProject() {
   return {
-    indent,
-    labelSeed,
-    loopDepth,
-    line(s) { return "  ".repeat(this.indent) + s; },
-    nextLabel() { return (this.labelSeed++).toString(); },
-    loopIndex() { return Math.min(this.loopDepth + 1, 9); },
-    indented(delta = 1) {
-      return createEmitContext(this.indent + delta, this.labelSeed, this.loopDepth + (delta > 0 ? 1 : 0));
-    },
+    format: PROJECT_FORMAT,
+    schemaVersion: PROJECT_SCHEMA_VERSION,
+    meta: { ...state.meta, savedAt: new Date().toISOString() },
+    controller: state.controller,
+    settings: state.settings,
+    programs: state.programs,
+    activeProgramId: state.activeProgramId,
+    customTools: state.customTools,
   };
 }
 
-function emitNode(node, ctx) {
-  const def = TOOL_BY_ID[node.toolId];
-  if (!def) return [ctx.line(`; Unknown node ${node.toolId}`)];
-  const raw = def.gcode ? def.gcode(node, {
-    ...ctx,
-    nextLabel: () => ctx.nextLabel(),
-    loopIndex: () => ctx.loopIndex(),
-  }) : [];
-  const arr = Array.isArray(raw) ? raw : [raw];
-  // indent all lines (except empty)
-  return arr.map(l => (l ? ctx.line(l) : ctx.line("")));
-}
-
-function emitChildren(node, ctx, indentDelta = 1) {
+function applyProject(p) {
+  state.programs = p.programs;
+  state.activeProgramId = p.activeProgramId;
+  activeProgram();
+  state.meta = { name: "Probe Routine", ...p.meta };
+  state.controller = CONTROLLERS[p.controller] ? p.controller : "haas";
+  state.settings = { ...DEFAULT_SETTINGS, ...p.settings };
+  state.customTools = p.customTools || [];
+  registerCustomTools(state.customTools);
+}
+
+function downloadText(text, filename, type = "text/plain") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = el("a", { href: url, download: filename });
+  document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+}
+
+function saveProjectFile() {
+  const name = window.prompt("Project name", state.meta.name || "Probe Routine");
+  if (name === null) return;
+  state.meta = { ...state.meta, name: name.trim() || "Probe Routine" };
+  save();
+  const slug = state.meta.name.replace(/[^\w.-]+/g, "_");
+  downloadText(JSON.stringify(buildProject(), null, 2), `${slug}.probe.json`, "application/json");
+}
+
+function importGCodeText(text) {
+  const nodes = parseGCode(text);
+  if (!nodes.length) { window.alert("No G-code found in that file."); return; }
+  if (state.tree.length && !window.confirm(`Replace the current routine with ${countTree(nodes).total} imported item(s)?`)) return;
+  replaceTree(nodes, gcodeUnits(text));
+}
+
+function openProjectText(text) {
+  let project;
+  try {
+    project = migrateProject(JSON.parse(text));
+  } catch (err) {
+    window.alert(`Could not open project: ${err.message}`);
+    return;
+  }
+  if (state.tree.length && !window.confirm(`Replace the current workspace with "${project.meta?.name || "project"}"?`)) return;
+  recordHistory();
+  applyProject(project);
+  state.expanded.clear();
+  state.collapsed.clear();
+  state.targetParentId = "root";
+  save(); renderToolbox(); renderAll();
+}
+
+// =================== History (undo / redo) ===================
+// Snapshots of the program library taken before each mutation. Persisted next to the
+// workspace so a reload keeps the undo stack.
+
+const HISTORY_KEY = STORAGE_KEY + "_history";
+const HISTORY_LIMIT = 100;
+const COALESCE_MS = 1500;
+
+const history = { past: [], future: [], lastKey: null, lastAt: 0 };
+
+const historySnapshot = () => JSON.stringify({ programs: state.programs, activeProgramId: state.activeProgramId, customTools: state.customTools });
+function restoreSnapshot(snap) {
+  const s = JSON.parse(snap);
+  if (Array.isArray(s)) state.tree = s;  // pre-library snapshot: a bare tree
+  else { state.programs = s.programs; state.activeProgramId = s.activeProgramId; }
+  if (Array.isArray(s.customTools) && JSON.stringify(s.customTools) !== JSON.stringify(state.customTools)) {
+    state.customTools = s.customTools;
+    registerCustomTools(state.customTools);
+    renderToolbox();
+  }
+  if (state.targetParentId !== "root" && !getNode(state.targetParentId)) state.targetParentId = "root";
+}
+
+function recordHistory(coalesceKey = null) {
+  const now = Date.now();
+  const merge = coalesceKey && coalesceKey === history.lastKey && now - history.lastAt < COALESCE_MS;
+  history.lastKey = coalesceKey;
+  history.lastAt = now;
+  if (merge) return;
+  history.past.push(historySnapshot());
+  if (history.past.length > HISTORY_LIMIT) history.past.shift();
+  history.future = [];
+  saveHistory();
+}
+
+function undo() {
+  if (!history.past.length) return;
+  history.future.push(historySnapshot());
+  restoreSnapshot(history.past.pop());
+  history.lastKey = null;
+  saveHistory(); save(); renderAll();
+}
+
+function redo() {
+  if (!history.future.length) return;
+  history.past.push(historySnapshot());
+  restoreSnapshot(history.future.pop());
+  history.lastKey = null;
+  saveHistory(); save(); renderAll();
+}
+
+function saveHistory() {
+  // drop the oldest steps until it fits the storage quota
+  for (let from = 0; from <= history.past.length; from += 10) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify({ past: history.past.slice(from), future: history.future }));
+      return;
+    } catch {}
+  }
+}
+
+function loadHistory() {
+  try {
+    const h = JSON.parse(localStorage.getItem(HISTORY_KEY) || "null");
+    const strings = (a) => Array.isArray(a) && a.every(x => typeof x === "string");
+    if (h && strings(h.past) && strings(h.future)) {
+      history.past = h.past.slice(-HISTORY_LIMIT);
+      history.future = h.future;
+    }
+  } catch {}
+}
+
+// =================== Motion Preview ===================
+// Walks the tree in program order and turns moves / probe cycles into simple
+// drawing primitives in work coordinates. Values that are not plain numbers
+// (macro expressions) are skipped — the preview only shows what it can know.
+
+const PREVIEW_VIEWS = {
+  XY:  { label: "Top (XY)",   project: (p) => [p.X, -p.Y] },
+  XZ:  { label: "Front (XZ)", project: (p) => [p.X, -p.Z] },
+  ISO: { label: "3D (iso)",   project: (p) => [(p.X - p.Y) * 0.866, -(p.Z + (p.X + p.Y) * 0.5)] },
+};
+
+const num = (v) => (typeof v === "number" ? v : (v !== "" && v !== null && !isNaN(Number(v)) ? Number(v) : null));
+
+function buildMotionModel(tree) {
+  const items = [];
+  let pos = null;
+  let offset = "G54", offsetShown = false;
+  const at = (p) => pos || { X: num(p.X) ?? 0, Y: num(p.Y) ?? 0, Z: num(p.Z) ?? 0 };
+  const noteOffset = (nodeId, p) => {
+    if (offsetShown || !p) return;
+    items.push({ kind: "offset", nodeId, at: p, label: offset });
+    offsetShown = true;
+  };
+
+  const subs = new Map(collectSubroutines(tree).map(n => [n.id, n]));
+
+  // subroutine bodies are drawn where they are called, not where they are defined
+  const visit = (list, calls = []) => list.forEach((n) => {
+    const p = n.params || {};
+    switch (n.toolId) {
+      case "subroutine":
+        return;
+      case "call-subroutine": {
+        const sub = subs.get(p.target);
+        if (sub && !calls.includes(sub.id)) visit(sub.children || [], [...calls, sub.id]);
+        return;
+      }
+      case "set-work-offset":
+        offset = p.offset === "G154" ? `G154 P${p.P}` : p.offset;
+        offsetShown = false;
+        break;
+      case "rapid-move":
+      case "safe-approach": {
+        const from = pos;
+        const to = { ...at(p) };
+        for (const k of ["X", "Y", "Z"]) if (num(p[k]) !== null) to[k] = num(p[k]);
+        if (from) items.push({ kind: "move", nodeId: n.id, from, to, protected: n.toolId === "safe-approach" });
+        pos = to;
+        noteOffset(n.id, to);
+        break;
+      }
+      case "single-touch-axis": {
+        const d = num(p.distance);
+        if (!pos || d === null) break;
+        const ax = String(p.axis || "X").toUpperCase();
+        items.push({ kind: "touch", nodeId: n.id, from: pos, to: { ...pos, [ax]: pos[ax] + d } });
+        noteOffset(n.id, pos);
+        break;
+      }
+      case "web-pocket": {
+        const c = { ...at({}), X: num(p.X) ?? at({}).X, Y: num(p.Y) ?? at({}).Y };
+        if (num(p.Z) !== null) c.Z = num(p.Z);
+        const W = num(p.W), L = num(p.L);
+        if (W === null || L === null) break;
+        items.push({ kind: "rect", nodeId: n.id, center: c, W, L });
+        noteOffset(n.id, c);
+        break;
+      }
+      case "bore-boss":
+      case "three-point-bore": {
+        const D = num(p.D);
+        if (!pos || D === null) break;
+        const c = num(p.Z) !== null ? { ...pos, Z: num(p.Z) } : pos;
+        items.push({ kind: "circle", nodeId: n.id, center: c, D });
+        noteOffset(n.id, c);
+        break;
+      }
+    }
+    if (n.children) visit(n.children, calls);
+  });
+  visit(tree);
+  return items;
+}
+
+function renderPreview() {
+  if (!previewSvgWrap) return;
+  const view = PREVIEW_VIEWS[state.previewView] || PREVIEW_VIEWS.XY;
+  const items = buildMotionModel(state.tree);
+  const proj = (p) => view.project(p);
+  const shapes = [];
+  const pts = [];
+  const track = (...ps) => { for (const p of ps) pts.push(proj(p)); return ps.map(proj); };
+
+  for (const it of items) {
+    const ds = { id: it.nodeId };
+    if (it.kind === "move") {
+      const [a, b] = track(it.from, it.to);
+      shapes.push(svgEl("line", { class: `pv-move ${it.protected ? "protected" : ""}`, dataset: ds, x1: a[0], y1: a[1], x2: b[0], y2: b[1] }));
+    } else if (it.kind === "touch") {
+      const [a, b] = track(it.from, it.to);
+      shapes.push(svgEl("line", { class: "pv-touch", dataset: ds, x1: a[0], y1: a[1], x2: b[0], y2: b[1], "marker-end": "url(#pv-arrow)" }));
+    } else if (it.kind === "rect") {
+      const { center: c, W, L } = it;
+      const corners = track(
+        { ...c, X: c.X - W / 2, Y: c.Y - L / 2 }, { ...c, X: c.X + W / 2, Y: c.Y - L / 2 },
+        { ...c, X: c.X + W / 2, Y: c.Y + L / 2 }, { ...c, X: c.X - W / 2, Y: c.Y + L / 2 });
+      const touches = track({ ...c, X: c.X - W / 2 }, { ...c, X: c.X + W / 2 }, { ...c, Y: c.Y - L / 2 }, { ...c, Y: c.Y + L / 2 });
+      shapes.push(svgEl("g", { class: "pv-feature", dataset: ds },
+        svgEl("polygon", { points: corners.map(q => q.join(",")).join(" ") }),
+        touches.map(q => svgEl("circle", { class: "pv-point", cx: q[0], cy: q[1], r: 1 }))));
+    } else if (it.kind === "circle") {
+      const { center: c, D } = it;
+      const ring = track(...Array.from({ length: 36 }, (_, i) => {
+        const a = (i / 36) * 2 * Math.PI;
+        return { ...c, X: c.X + Math.cos(a) * D / 2, Y: c.Y + Math.sin(a) * D / 2 };
+      }));
+      shapes.push(svgEl("g", { class: "pv-feature", dataset: ds },
+        svgEl("polygon", { points: ring.map(q => q.join(",")).join(" ") })));
+    } else if (it.kind === "offset") {
+      const [q] = track(it.at);
+      shapes.push(svgEl("text", { class: "pv-label", dataset: ds, x: q[0], y: q[1] }, it.label));
+    }
+  }
+
+  if (!pts.length) {
+    previewSvgWrap.replaceChildren(el("div", { class: "pv-empty" }, "Add moves or probe cycles to see the path."));
+    return;
+  }
+
+  // fit the drawing; sizes that should stay constant on screen scale with the span
+  const xs = pts.map(q => q[0]), ys = pts.map(q => q[1]);
+  const minX = Math.min(...xs), maxX = Math.max(...xs), minY = Math.min(...ys), maxY = Math.max(...ys);
+  const span = Math.max(maxX - minX, maxY - minY, 10);
+  const pad = span * 0.12;
+  const unit = span / 100;
+
+  const svg = svgEl("svg", {
+    class: "pv-svg",
+    viewBox: `${minX - pad} ${minY - pad} ${maxX - minX + 2 * pad} ${maxY - minY + 2 * pad}`,
+    onClick: (e) => {
+      const id = e.target.closest("[data-id]")?.dataset.id;
+      if (id) focusCard(id);
+    },
+  },
+    svgEl("defs", {},
+      svgEl("marker", { id: "pv-arrow", viewBox: "0 0 10 10", refX: 9, refY: 5, markerWidth: 6, markerHeight: 6, orient: "auto-start-reverse" },
+        svgEl("path", { d: "M0,0 L10,5 L0,10 z", class: "pv-arrowhead" }))),
+    shapes);
+  for (const c of svg.querySelectorAll(".pv-point")) c.setAttribute("r", String(unit * 1.2));
+  for (const t of svg.querySelectorAll(".pv-label")) t.setAttribute("font-size", String(unit * 4));
+  previewSvgWrap.replaceChildren(svg);
+}
+
+// Expand a card (and its ancestors) and bring it into view.
+function focusCard(id) {
+  for (let p = getParent(id); p; p = getParent(p.id)) state.collapsed.delete(p.id);
+  state.expanded.add(id);
+  save(); renderAll();
+  const card = qs(`.card[data-id="${CSS.escape(id)}"]`);
+  card?.scrollIntoView({ block: "center", behavior: "smooth" });
+  card?.classList.add("flash");
+  setTimeout(() => card?.classList.remove("flash"), 1200);
+}
+
+// =================== G-code Panel ===================
+// The listing is drawn one span per line, tagged with the card that emitted
+// it (generateProgramFiles' `sources`): clicking a line opens its card and
+// hovering a card lights up its lines.
+const GCODE_TOKENS = [
+  ["cmt",   /\([^)]*\)?|;.*/y],
+  ["label", /N\d+(?=\s|$)/y],
+  ["macro", /G65\s*P\d+|M98\s*P\d+|CALL\s+O\w+/y],
+  ["kw",    /(?:IF|GOTO|WHILE|DO\d*|END\d*|THEN|AND|OR|XOR|EQ|NE|GT|GE|LT|LE|POPEN|PCLOS|DPRNT|RTS)\b/y],
+  ["var",   /#\d+|#(?=\[)|V[A-Z]+\d*(?:\[\d+\])?/y],
+  ["g",     /G\d+(?:\.\d+)?/y],
+  ["m",     /M\d+/y],
+];
+
+// Splits one line into plain text and highlighted spans. Tokens only start
+// at a word boundary so "GE" in IF [#1 GE 2] isn't read as a G word.
+function highlightGCode(line) {
   const out = [];
-  for (const child of (node.children || [])) {
-    out.push(...emitNode(child, ctx.indented(indentDelta)));
+  let text = "";
+  for (let i = 0; i < line.length;) {
+    const tok = /\w/.test(line[i - 1] || "") ? null : GCODE_TOKENS.find(([, re]) => { re.lastIndex = i; return re.test(line); });
+    if (!tok) { text += line[i++]; continue; }
+    if (text) { out.push(text); text = ""; }
+    out.push(el("span", { class: `gc-${tok[0]}` }, line.slice(i, tok[1].lastIndex)));
+    i = tok[1].lastIndex;
   }
+  if (text) out.push(text);
   return out;
 }
 
-function generateGCode() {
-  const ctx = createEmitContext(0, 1000, 0);
-  const header = [
-    `;Renishaw Probe Routine - Generated by Probe Builder`,
-    `;Program: PROBE_ROUTINE.NC`,
-    `;Date: ${new Date().toLocaleDateString()}`,
-    ``,
-    `;Initialize program`,
-    `G0 G17 G40 G49 G80 G90`,
-    ``,
-  ];
-  const body = [];
-  for (const n of state.tree) body.push(...emitNode(n, ctx));
-  const footer = [
-    `;End of probe routine`,
-    `G0 G53 Z0.`,
-    `M30`,
-    ``,
+// Same text as generateListing: files joined by "%" lines.
+function renderGCode() {
+  if (!gcodePre) return;
+  const files = generateProgramFiles();
+  const last = files.length - 1;
+  gcodePre.replaceChildren(...files.flatMap((f, fi) => f.text.split("\n").map((line, i, all) => {
+    const end = i === all.length - 1;
+    const id = f.sources[i];
+    const auto = f.inserted.includes(i) ? { title: "Inserted by auto approach" } : {};
+    // a block line keeps its newline so copying the panel gives the listing
+    return el("span", { class: `gl${id ? " linked" : ""}${auto.title ? " auto" : ""}`, dataset: id ? { id } : {}, ...auto },
+      ...highlightGCode(end && fi < last ? `${line}%` : line), end && fi === last ? "" : "\n");
+  })));
+  highlightSource(gcodeHoverId, false);
+}
+
+let gcodeHoverId = null;
+
+// Marks the lines of a card and everything nested in it.
+function highlightSource(id, scroll = true) {
+  gcodeHoverId = id;
+  if (!gcodePre || !state.showGCode) return;
+  const ids = new Set();
+  const node = id && findNode(id, state.tree);
+  if (node) walk([node], (n) => ids.add(n.id));
+  let first = null;
+  for (const line of gcodePre.children) {
+    const on = ids.has(line.dataset.id);
+    line.classList.toggle("hl", on);
+    if (on && !first) first = line;
+  }
+  if (scroll) first?.scrollIntoView({ block: "nearest" });
+}
+
+function wireGCodePanel() {
+  gcodePre?.addEventListener("click", (e) => {
+    const id = e.target.closest(".gl[data-id]")?.dataset.id;
+    if (id && getNode(id)) focusCard(id);
+  });
+  listEl?.addEventListener("mouseover", (e) => {
+    const id = e.target.closest(".card")?.dataset.id || null;
+    if (id !== gcodeHoverId) highlightSource(id);
+  });
+  listEl?.addEventListener("mouseleave", () => highlightSource(null));
+}
+
+// =================== Dry Run ===================
+// Runs the generated files through simulateProgram (probe-core.js) with the
+// simulated probe errors set in the panel, and shows where and why it stopped.
+const SIM_STATUS = {
+  end:   { cls: "ok",    icon: "✓" },
+  alarm: { cls: "error", icon: "⛔" },
+  error: { cls: "error", icon: "⛔" },
+  loop:  { cls: "warn",  icon: "🔁" },
+  limit: { cls: "warn",  icon: "⏱" },
+};
+
+function setSimResult(cycle, key, value) {
+  const row = { ...state.simResults[cycle] };
+  if (isNumeric(value)) row[key] = Number(value); else delete row[key];
+  state.simResults = { ...state.simResults, [cycle]: row };
+  save(); renderSimulation();
+}
+
+function renderSimulation() {
+  if (!simBody) return;
+  const files = generateProgramFiles();
+  const main = files[0].name;
+  const r = simulateProgram(files, { results: state.simResults });
+  const where = (at) => (at.file === main ? `line ${at.line}` : `${at.file} line ${at.line}`);
+  const st = SIM_STATUS[r.status] || SIM_STATUS.error;
+
+  const cycles = new Set();
+  walk(state.tree, (n) => { const t = TOOL_BY_ID[n.toolId]; if (t?.cycle && t.results) cycles.add(t.cycle); });
+  const keys = Object.keys(PROBE_RESULTS);
+  const errorRow = (cycle, label) => el("tr", {},
+    el("th", {}, label),
+    ...keys.map(k => el("td", {}, el("input", {
+      class: "inp sim-inp", type: "number", step: "0.001", placeholder: "0",
+      value: state.simResults[cycle]?.[k] ?? "", "aria-label": `${label} ${PROBE_RESULTS[k].label} error`,
+      onChange: (e) => setSimResult(cycle, k, e.target.value),
+    })))
+  );
+
+  const findings = [
+    ...r.loops.map(l => ({ level: "error", msg: `Endless loop at ${where(l)}: ${l.text}` })),
+    ...r.missing.map(m => ({ level: "error", msg: `${where(m)} jumps to N${m.label}, which doesn't exist` })),
+    ...r.duplicates.map(d => ({ level: "error", msg: `N${d.label} appears again at ${where(d)}; jumps only reach the one at line ${d.first}` })),
+    ...r.unreachable.map(u => ({ level: "warning", msg: `N${u.label} (${where(u)}) can never be reached` })),
   ];
-  return header.concat(body, footer).join("\n");
+  const traceText = r.trace.map(t => `${(t.file === main ? "" : `${t.file}:`) + String(t.line).padStart(4)}  ${t.text}${t.note ? `  → ${t.note}` : ""}`);
+  if (r.truncated) traceText.push(`… ${r.truncated} more line(s) not shown`);
+
+  simBody.replaceChildren(
+    el("div", { class: `sim-status ${st.cls}` },
+      `${st.icon} ${r.message}${r.at && r.status !== "end" ? ` — ${where(r.at)}` : ""}`,
+      el("span", { class: "help" }, ` · ${r.steps} lines run`)),
+    el("div", { class: "sim-sec" },
+      el("h4", {}, "Simulated probe errors"),
+      el("table", { class: "sim-table" },
+        el("tr", {}, el("th", {}), ...keys.map(k => el("th", {}, PROBE_RESULTS[k].short))),
+        errorRow("*", "All cycles"),
+        ...[...cycles].sort().map(c => errorRow(c, c))),
+      el("div", { class: "help" }, "Each measuring cycle returns nominal + error; a cycle's own row overrides All cycles.")),
+    findings.length ? el("div", { class: "sim-sec" }, el("h4", {}, "Findings"),
+      el("ul", { class: "issues" }, ...findings.map(f => el("li", { class: f.level }, f.msg)))) : null,
+    r.prints.length ? el("div", { class: "sim-sec" }, el("h4", {}, "Printed (DPRNT)"), el("pre", { class: "mono sim-pre" }, r.prints.join("\n"))) : null,
+    el("div", { class: "sim-sec" }, el("h4", {}, "Variables at the end"),
+      r.variables.length
+        ? el("table", { class: "sim-table sim-vars" }, ...r.variables.map(([k, v]) => el("tr", {}, el("th", {}, k), el("td", { class: "mono" }, v === null ? "vacant" : String(Math.round(v * 1e4) / 1e4)))))
+        : el("div", { class: "help" }, "No variables were set."),
+      r.tool !== null ? el("div", { class: "help" }, `Tool T${r.tool} in the spindle.`) : null),
+    el("div", { class: "sim-sec" }, el("h4", {}, "Trace"), el("pre", { class: "mono sim-pre" }, traceText.join("\n")))
+  );
 }
 
 // =================== Rendering ===================
@@ -488,10 +876,18 @@ const opCountEl     = qs("#opCount");
 const itemCountEl   = qs("#itemCount");
 const gcodePanel    = qs("#gcode");
 const gcodePre      = qs("#gcodePre");
-const toolboxOrgs   = { org: qs("#tools-organization"), setup: qs("#tools-setup"), probe: qs("#tools-probe") };
+const previewPanel  = qs("#preview");
+const previewSvgWrap = qs("#previewSvg");
+const simPanel      = qs("#simulate");
+const simBody       = qs("#sim-body");
+const toolboxOrgs   = { org: qs("#tools-organization"), setup: qs("#tools-setup"), calibration: qs("#tools-calibration"), toolset: qs("#tools-toolset"), probe: qs("#tools-probe"), result: qs("#tools-result"), report: qs("#tools-report"), custom: qs("#tools-custom") };
 const targetSelect  = qs("#target-parent-select");
 
 function renderAll() {
+  const { variables, header } = activeProgram();
+  state.issues = validateTree(state.tree, { dialect: dialectFor(state.controller), settings: state.settings, variables, units: header.units, programNumber: header.number });
+  const focus = captureFocus();
+
   // workspace list
   if (!state.tree.length) {
     emptyEl?.setAttribute("style", "display:block;");
@@ -509,10 +905,63 @@ function renderAll() {
   if (itemCountEl) itemCountEl.textContent = String(counts.total);
 
   // gcode
-  if (state.showGCode && gcodePre) gcodePre.textContent = generateGCode();
+  if (state.showGCode) renderGCode();
+
+  // motion preview
+  if (state.showPreview) renderPreview();
+
+  // dry run
+  if (state.showSim) renderSimulation();
+
+  renderIssueSummary();
+  renderPrograms();
+  renderVariables();
+  refreshHistoryButtons();
 
   // destination menus
   refreshTargetParentDropdown();
+  restoreFocus(focus);
+}
+
+// Inline fields are rebuilt on every render; keep the caret where it was.
+function captureFocus() {
+  const a = document.activeElement;
+  if (!a?.dataset?.focus) return null;
+  let sel = null;
+  try { sel = [a.selectionStart, a.selectionEnd]; } catch {}
+  return { key: a.dataset.focus, sel };
+}
+
+function restoreFocus(f) {
+  if (!f) return;
+  const n = qsa("[data-focus]").find(x => x.dataset.focus === f.key);
+  if (!n) return;
+  n.focus();
+  try { if (f.sel && f.sel[0] !== null) n.setSelectionRange(...f.sel); } catch {}
+}
+
+function refreshHistoryButtons() {
+  const u = qs("#btn-undo"), r = qs("#btn-redo");
+  if (u) u.disabled = !history.past.length;
+  if (r) r.disabled = !history.future.length;
+}
+
+function renderIssueSummary() {
+  const box = qs("#issue-summary");
+  if (!box) return;
+  const { errors, warnings } = issueCounts(state.issues);
+  box.className = `issue-summary ${errors ? "has-errors" : warnings ? "has-warnings" : "ok"}`;
+  box.textContent = errors || warnings
+    ? [errors && `⛔ ${errors} error${errors > 1 ? "s" : ""}`, warnings && `⚠ ${warnings} warning${warnings > 1 ? "s" : ""}`].filter(Boolean).join(" · ")
+    : "✓ No issues";
+  box.title = errors || warnings ? "Show the first card with an issue" : "";
+}
+
+// Issues of a node's descendants (shown on collapsed containers).
+function nestedIssueCount(node) {
+  let n = 0;
+  walk(node.children || [], (c) => { n += state.issues.get(c.id)?.length || 0; });
+  return n;
 }
 
 function countTree(list) {
@@ -523,7 +972,7 @@ function countTree(list) {
 
 function renderCard(node, pathNums, parentId) {
   const def = TOOL_BY_ID[node.toolId];
-  const isContainer = !!def?.container;
+  const isContainer = !!def?.container || (!def && Array.isArray(node.children));
   const collapsed = state.collapsed.has(node.id);
   const expanded  = state.expanded.has(node.id);
   const numberTag = "#" + pathNums.join(".");
@@ -533,7 +982,7 @@ function renderCard(node, pathNums, parentId) {
     el("span", { class: "icon" }, isContainer ? (collapsed ? "📁" : "📂") : (node.icon || "•")),
     el("div", { class: "meta" },
       el("h3", {}, isContainer ? (node.params?.name || node.name) : node.name),
-      el("p", {}, isContainer ? `${node.children?.length || 0} items` : node.description)
+      el("p", {}, isContainer ? `${node.children?.length || 0} items` : (def?.summary?.(node, activeProgram()) ?? node.description))
     )
   );
 
@@ -551,7 +1000,16 @@ function renderCard(node, pathNums, parentId) {
     el("div", { class: "fd-menu", id: `fd-${node.id}` })
   );
 
+  const issues = state.issues.get(node.id) || [];
+  const hidden = isContainer && collapsed ? nestedIssueCount(node) : 0;
+  const worst = issues.some(i => i.level === "error") ? "error" : issues.length ? "warning" : null;
+  const issueBadge = worst || hidden
+    ? el("span", { class: `issue-badge ${worst || "nested"}`, title: hidden ? `${hidden} issue(s) inside` : issues.map(i => i.msg).join("\n") },
+        worst === "error" ? "⛔" : "⚠", String(issues.length + hidden))
+    : null;
+
   const controls = el("div", { class: "controls" },
+    issueBadge,
     el("span", { class: `pill ${isContainer ? "folder" : node.category}` }, numberTag),
     expandBtn,
     moveMenuBtn,
@@ -560,8 +1018,32 @@ function renderCard(node, pathNums, parentId) {
     deleteBtn
   );
 
+  const handle = el("button", {
+    class: "cbtn drag-handle",
+    draggable: "true",
+    title: "Drag to move · Alt+↑/↓ reorder · Alt+→ into container above · Alt+← out of container",
+    "aria-label": "Move card",
+    dataset: { focus: `drag:${node.id}` },
+    onDragStart: (e) => startDrag(e, node.id),
+    onDragEnd: endDrag,
+    onKeyDown: (e) => onHandleKey(e, node.id),
+  }, "⠿");
+
+  left.prepend(handle);
   const top = el("div", { class: "row" }, left, controls);
-  const card = el("div", { class: `card ${isContainer ? "folder" : ""}`, dataset: { id: node.id } }, top);
+  const card = el("div", {
+    class: `card ${isContainer ? "folder" : ""} ${worst ? `has-${worst}` : ""}`,
+    dataset: { id: node.id },
+    onDragOver: (e) => dragOver(e, node.id, isContainer),
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) e.currentTarget.classList.remove("drop-before", "drop-after", "drop-inside");
+    },
+    onDrop: (e) => dropOn(e, node.id),
+  }, top);
+
+  if (issues.length) {
+    card.append(el("ul", { class: "issues" }, issues.map(i => el("li", { class: i.level }, i.msg))));
+  }
 
   if (expanded) {
     card.classList.add("expanded");
@@ -578,22 +1060,117 @@ function renderCard(node, pathNums, parentId) {
   return card;
 }
 
+// -------- Drag & drop --------
+const dnd = { dragId: null, zone: null, targetId: null };
+
+function startDrag(e, id) {
+  dnd.dragId = id;
+  e.dataTransfer.effectAllowed = "move";
+  e.dataTransfer.setData("text/plain", id);
+  const card = e.target.closest(".card");
+  if (card) {
+    e.dataTransfer.setDragImage(card, 16, 16);
+    requestAnimationFrame(() => card.classList.add("dragging"));
+  }
+}
+
+function endDrag() {
+  dnd.dragId = dnd.zone = dnd.targetId = null;
+  qsa(".dragging").forEach(n => n.classList.remove("dragging"));
+  clearDropMarks();
+}
+
+function clearDropMarks() {
+  qsa(".drop-before, .drop-after, .drop-inside, .drop-root")
+    .forEach(n => n.classList.remove("drop-before", "drop-after", "drop-inside", "drop-root"));
+}
+
+// Zone from the pointer position over the card's header row: top/bottom
+// edge = before/after; containers take the middle band as "inside".
+function dragOver(e, targetId, isContainer) {
+  if (!dnd.dragId) return;
+  e.stopPropagation();
+  if (dnd.dragId === targetId || isDescendant(dnd.dragId, targetId)) {
+    e.dataTransfer.dropEffect = "none";
+    return;
+  }
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "move";
+  const card = e.currentTarget;
+  const row = card.querySelector(":scope > .row");
+  const r = row.getBoundingClientRect();
+  const t = r.height ? (e.clientY - r.top) / r.height : 0.5;
+  const zone = isContainer ? (t < 0.3 ? "before" : t > 0.7 && state.collapsed.has(targetId) ? "after" : "inside") : (t < 0.5 ? "before" : "after");
+  if (dnd.zone === zone && dnd.targetId === targetId) return;
+  clearDropMarks();
+  dnd.zone = zone;
+  dnd.targetId = targetId;
+  card.classList.add(`drop-${zone}`);
+}
+
+function dropOn(e, targetId) {
+  if (!dnd.dragId) return;
+  e.preventDefault();
+  e.stopPropagation();
+  const { dragId, zone } = dnd;
+  endDrag();
+  if (zone && targetId) moveRelative(dragId, targetId, zone);
+}
+
+// Dropping on empty canvas space appends to the root.
+function wireListDrop() {
+  const canvas = listEl?.parentElement;
+  canvas?.addEventListener("dragover", (e) => {
+    if (!dnd.dragId) return;
+    e.preventDefault();
+    clearDropMarks();
+    dnd.zone = "root";
+    dnd.targetId = null;
+    canvas.classList.add("drop-root");
+  });
+  canvas?.addEventListener("dragleave", (e) => { if (!canvas.contains(e.relatedTarget)) canvas.classList.remove("drop-root"); });
+  canvas?.addEventListener("drop", (e) => {
+    if (!dnd.dragId) return;
+    e.preventDefault();
+    const id = dnd.dragId;
+    endDrag();
+    moveNode(id, "root", Infinity);
+  });
+}
+
+function onHandleKey(e, id) {
+  if (!e.altKey) return;
+  const actions = {
+    ArrowUp: () => reorderSibling(id, -1),
+    ArrowDown: () => reorderSibling(id, +1),
+    ArrowRight: () => indentNode(id),
+    ArrowLeft: () => outdentNode(id),
+  };
+  if (!actions[e.key]) return;
+  e.preventDefault();
+  actions[e.key]();
+}
+
 // -------- Inline Editor --------
 function renderInlineEditor(node) {
   const schema = UI_SCHEMAS[node.toolId];
-  const fields = schema ? schema(node) : Object.keys(node.params || {}).map(k => ({ key: k, type: "number" }));
+  const fields = schema ? schema(node, activeProgram()) : Object.keys(node.params || {}).map(k => ({ key: k, type: "number" }));
   const wrap = el("div", { class: "details" },
     el("div", { class: "help", style: { marginBottom: ".4rem" } }, "Edit parameters inline"),
     el("div", { class: "form-grid" },
       ...fields.map(f => renderField(node, f))
-    )
+    ),
+    TOOL_BY_ID[node.toolId]?.preview
+      ? el("div", { class: "field wide print-preview" }, el("label", {}, "Prints"), el("pre", { class: "mono" }, TOOL_BY_ID[node.toolId].preview(node, activeProgram())))
+      : null
   );
   return wrap;
 }
 
 function renderField(node, f) {
   const labelText = f.label || toLabel(f.key);
-  const group = el("div", { class: "field" },
+  const invalid = (state.issues.get(node.id) || []).find(i => i.field === f.key);
+  const group = el("div", { class: `field ${invalid ? `invalid ${invalid.level}` : ""}` },
     el("label", {}, labelText)
   );
 
@@ -622,6 +1199,31 @@ function renderField(node, f) {
     return group;
   }
 
+  if (f.type === "checks") {
+    const picked = Array.isArray(node.params[f.key]) ? node.params[f.key] : [];
+    const rg = el("div", { class: "radio-group" });
+    for (const opt of f.options) {
+      const val  = typeof opt === "object" ? opt.value : opt;
+      const text = typeof opt === "object" ? opt.label : opt;
+      rg.append(el("label", { class: "radio" },
+        el("input", {
+          type: "checkbox",
+          ...(picked.includes(val) ? { checked: true } : {}),
+          onChange: (e) => {
+            const next = f.options.map(o => (typeof o === "object" ? o.value : o))
+              .filter(v => (v === val ? e.target.checked : picked.includes(v)));
+            updateParams(node.id, { [f.key]: next });
+          },
+        }),
+        text
+      ));
+    }
+    group.classList.add("wide");
+    group.append(rg);
+    if (f.help) group.append(el("div", { class: "help" }, f.help));
+    return group;
+  }
+
   if (f.type === "select") {
     const sel = el("select", {
       class: "sel",
@@ -638,26 +1240,143 @@ function renderField(node, f) {
     return group;
   }
 
-  // number / text
-  const type = f.type === "text" ? "text" : "number";
+  if (f.type === "textarea") {
+    const ta = el("textarea", {
+      class: "inp mono",
+      rows: String(Math.max(2, String(node.params[f.key] ?? "").split("\n").length)),
+      dataset: { focus: `${node.id}:${f.key}` },
+      onInput: (e) => updateParams(node.id, { [f.key]: e.target.value }, `${node.id}:${f.key}`),
+    }, node.params[f.key] ?? "");
+    group.classList.add("wide");
+    group.append(ta);
+    if (f.help) group.append(el("div", { class: "help" }, f.help));
+    return group;
+  }
+
+  // number / text; a number field can switch to a macro expression
+  const value = node.params[f.key] ?? "";
+  const exprKey = `${node.id}:${f.key}`;
+  const canExpr = f.type === "number" && !f.literal;
+  const asExpr = canExpr && (state.exprInputs.has(exprKey) || (value !== "" && !isNumeric(value)));
+  const type = f.type === "text" || asExpr ? "text" : "number";
   const input = el("input", {
-    class: "inp",
+    class: `inp${asExpr ? " mono" : ""}`,
     type,
-    ...(f.step ? { step: String(f.step) } : {}),
-    value: node.params[f.key] ?? "",
+    ...(f.expr || f.varRef || asExpr ? { list: "var-names", autocomplete: "off" } : {}),
+    ...(asExpr ? { placeholder: "#100, [#5021 + 2.5], name" } : {}),
+    ...(f.step && !asExpr ? { step: String(fieldStep(f, activeProgram().header.units)) } : {}),
+    value,
+    dataset: { focus: `${node.id}:${f.key}` },
     onInput: (e) => {
       const raw = e.target.value;
-      const val = type === "number" ? (raw === "" ? "" : (parseFloat(raw) || 0)) : raw;
-      updateParams(node.id, { [f.key]: val });
+      // keep unparseable input as typed so validation can flag it
+      const val = f.type === "number" && raw !== "" && isNumeric(raw) ? parseFloat(raw) : raw;
+      updateParams(node.id, { [f.key]: val }, `${node.id}:${f.key}`);
     },
   });
-  group.append(input);
+  if (canExpr) {
+    const toggle = el("button", {
+      class: `expr-toggle${asExpr ? " on" : ""}`,
+      type: "button",
+      title: asExpr ? "Back to a plain number (drops the expression)" : "Use a macro expression",
+      onClick: () => {
+        if (asExpr) {
+          state.exprInputs.delete(exprKey);
+          if (!isNumeric(value)) updateParams(node.id, { [f.key]: "" });
+          else renderAll();
+        } else {
+          state.exprInputs.add(exprKey);
+          renderAll();
+        }
+        qs(`[data-focus="${CSS.escape(exprKey)}"]`)?.focus();
+      },
+    }, asExpr ? "123" : "#");
+    group.append(el("div", { class: "num-expr" }, input, toggle));
+  } else {
+    group.append(input);
+  }
   if (f.help) group.append(el("div", { class: "help" }, f.help));
   return group;
 }
 
-function toLabel(key) {
-  return String(key).replace(/([A-Z])/g, " $1").replace(/^./, s => s.toUpperCase());
+// -------- Program library (sidebar) --------
+const PROGRAM_FIELDS = [
+  { key: "number", label: "O-number", type: "number" },
+  { key: "name", label: "Name" },
+  { key: "description", label: "Description" },
+  { key: "partNumber", label: "Part number" },
+  { key: "revision", label: "Revision" },
+  { key: "author", label: "Author" },
+];
+
+function renderPrograms() {
+  const list = qs("#program-list");
+  if (!list) return;
+  const dialect = dialectFor(state.controller);
+  list.replaceChildren(...state.programs.map(p => {
+    const active = p.id === state.activeProgramId;
+    const number = isNumeric(p.header.number) ? dialect.programName(Number(p.header.number)) : "—";
+    return el("div", { class: `prog-item${active ? " active" : ""}` },
+      el("button", { class: "prog-pick", title: p.header.description || p.header.name, onClick: () => selectProgram(p.id) },
+        el("span", { class: "prog-num mono" }, number),
+        el("span", { class: "prog-name" }, p.header.name),
+        el("span", { class: "prog-count" }, String(countTree(p.tree).ops))
+      ),
+      el("div", { class: "controls" },
+        el("button", { class: "cbtn blue", title: "Rename", onClick: () => renameProgram(p.id) }, "✎"),
+        el("button", { class: "cbtn green", title: "Duplicate", onClick: () => duplicateProgram(p.id) }, "⧉"),
+        el("button", { class: "cbtn red", title: "Delete", onClick: () => deleteProgram(p.id) }, "🗑")
+      )
+    );
+  }));
+
+  const form = qs("#program-header-form");
+  if (!form) return;
+  const h = activeProgram().header;
+  form.replaceChildren(...PROGRAM_FIELDS.map(f => el("div", { class: "field" },
+    el("label", {}, f.label),
+    el("input", {
+      class: "inp", type: f.type || "text", value: h[f.key] ?? "",
+      dataset: { focus: `program:${f.key}` },
+      onInput: (e) => {
+        const raw = e.target.value;
+        updateProgramHeader({ [f.key]: f.type === "number" && raw !== "" ? Number(raw) : raw }, `program:${state.activeProgramId}:${f.key}`);
+      },
+    })
+  )), el("div", { class: "field" },
+    el("label", {}, "Units"),
+    el("select", { class: "sel", onChange: (e) => setProgramUnits(e.target.value) },
+      ...Object.values(UNITS).map(u => el("option", { value: u.id, ...(unitsOf(h) === u.id ? { selected: true } : {}) }, `${u.label} (${u.code})`)))
+  ));
+}
+
+// -------- Variables (sidebar) --------
+function renderVariables() {
+  const list = qs("#variable-list");
+  if (!list) return;
+  const vars = activeProgram().variables;
+  qs("#var-names")?.replaceChildren(...vars.filter(v => v.name).map(v => el("option", { value: v.name }, `#${v.address}`)));
+  if (!vars.length) {
+    list.replaceChildren(el("div", { class: "help" }, "Name #100–#999 variables here and use the names in conditions."));
+    return;
+  }
+  list.replaceChildren(...vars.map(v => {
+    const problems = (state.issues.get(v.id) || []).map(i => i.msg);
+    return el("div", { class: `var-row${problems.length ? " invalid" : ""}`, title: problems.join("\n") },
+      el("input", {
+        class: "inp var-name mono", value: v.name, dataset: { focus: `var:${v.id}:name` },
+        onChange: (e) => updateVariable(v.id, { name: e.target.value.trim() }),
+      }),
+      el("select", { class: "sel var-kind", title: "Range", onChange: (e) => updateVariable(v.id, { kind: e.target.value }) },
+        ...[["common", "#1xx"], ["retained", "#5xx"]].map(([k, t]) => el("option", { value: k, ...(v.kind === k ? { selected: true } : {}) }, t))),
+      el("input", {
+        class: "inp var-addr mono", type: "number", step: "1", value: v.address, dataset: { focus: `var:${v.id}:address` },
+        onInput: (e) => { if (isNumeric(e.target.value)) updateVariable(v.id, { address: Number(e.target.value) }, `var:${v.id}:address`); },
+      }),
+      el("button", { class: "cbtn red", title: "Delete variable", onClick: () => deleteVariable(v.id) }, "🗑"),
+      problems.length ? el("div", { class: "var-issue" }, "⚠ " + problems.join(" ")) : null
+    );
+  }));
 }
 
 // -------- Move menus --------
@@ -699,10 +1418,331 @@ function refreshTargetParentDropdown() {
   });
 }
 
+// =================== Calibration Wizard ===================
+// Asks for the ring gauge and probe, then inserts the calibration subtree
+// (length → XY offset → ball radius → vector) with protected moves between.
+
+const CALIBRATION_DEFAULTS = {
+  tool: 1, offset: "G54", ringD: 25, ringX: 0, ringY: 0, ringTop: 0, depth: 5, clearZ: 50,
+  lengthOn: "ring", datumX: 0, datumY: 0, datumZ: 0, steps: ["length", "xy", "radius"],
+};
+
+const CALIBRATION_FIELDS = [
+  { key: "tool", label: "Probe tool / offset (T)", step: 1 },
+  { key: "offset", type: "select", label: "Work offset", options: ["G54", "G55", "G56", "G57", "G58", "G59"] },
+  { key: "ringD", label: "Ring gauge diameter", step: 0.001 },
+  { key: "ringTop", label: "Ring top Z", step: 0.001 },
+  { key: "ringX", label: "Ring centre X", step: 0.001 },
+  { key: "ringY", label: "Ring centre Y", step: 0.001 },
+  { key: "depth", label: "Measuring depth below top", step: 0.001 },
+  { key: "clearZ", label: "Clearance Z", step: 0.001 },
+  { key: "lengthOn", type: "select", label: "Calibrate length on", options: [
+    { value: "ring", label: "Ring gauge top face" }, { value: "datum", label: "Separate datum surface" },
+  ] },
+  { key: "datumX", label: "Datum X", step: 0.001, when: (v) => v.lengthOn === "datum" },
+  { key: "datumY", label: "Datum Y", step: 0.001, when: (v) => v.lengthOn === "datum" },
+  { key: "datumZ", label: "Datum surface Z", step: 0.001, when: (v) => v.lengthOn === "datum" },
+];
+
+const CALIBRATION_STEPS = [
+  { value: "length", label: "Stylus length (P9801)" },
+  { value: "xy", label: "XY offset (P9802)" },
+  { value: "radius", label: "Ball radius (P9803)" },
+  { value: "vector", label: "Vector ball radius (P9804)" },
+];
+
+// Returns an error message, or null when the answers can build a routine.
+function checkCalibrationInput(v) {
+  for (const f of CALIBRATION_FIELDS) {
+    if (f.type !== "select" && (!f.when || f.when(v)) && !isNumeric(v[f.key])) return `${f.label} needs a number.`;
+  }
+  if (Number(v.ringD) <= 0) return "Ring gauge diameter must be greater than 0.";
+  if (Number(v.depth) <= 0) return "Measuring depth must be greater than 0.";
+  if (Number(v.clearZ) <= Math.max(Number(v.ringTop), v.lengthOn === "datum" ? Number(v.datumZ) : -Infinity)) {
+    return "Clearance Z must be above the ring and datum.";
+  }
+  if (!v.steps.length) return "Pick at least one calibration step.";
+  return null;
+}
+
+function buildCalibrationTree(v) {
+  const n = (x) => Number(x);
+  const mm = (x) => fromMm(x, activeProgram().header.units);
+  const T = n(v.tool), D = n(v.ringD);
+  // ring top: touch the land just outside the bore
+  const len = v.lengthOn === "datum"
+    ? { X: n(v.datumX), Y: n(v.datumY), Z: n(v.datumZ) }
+    : { X: n(v.ringX) + D / 2 + mm(4), Y: n(v.ringY), Z: n(v.ringTop) };
+  const clearZ = n(v.clearZ), ring = { X: n(v.ringX), Y: n(v.ringY) };
+  const protectedMove = (X, Y, Z) => makeNode("safe-approach", { X, Y, Z, feed: mm(1000) });
+  const folder = makeNode("folder", { name: `Probe Calibration T${T}`, note: `Ring Ø${D}` });
+  const kids = [
+    makeNode("set-work-offset", { offset: v.offset, P: "1" }),
+    makeNode("tool-change", { toolNumber: T, spindleSpeed: "", coolant: "" }),
+  ];
+  if (v.steps.includes("length")) {
+    kids.push(
+      makeNode("rapid-move", { X: len.X, Y: len.Y, Z: clearZ }),
+      protectedMove(len.X, len.Y, len.Z + mm(5)),
+      makeNode("calib-length", { Z: len.Z, T }),
+      protectedMove(len.X, len.Y, clearZ),
+    );
+  }
+  const inRing = ["xy", "radius", "vector"].filter(s => v.steps.includes(s));
+  if (inRing.length) {
+    kids.push(
+      v.steps.includes("length") ? protectedMove(ring.X, ring.Y, clearZ) : makeNode("rapid-move", { ...ring, Z: clearZ }),
+      protectedMove(ring.X, ring.Y, n(v.ringTop) - n(v.depth)),
+      ...inRing.map(s => makeNode({ xy: "calib-xy", radius: "calib-radius", vector: "calib-vector" }[s], { D })),
+      protectedMove(ring.X, ring.Y, clearZ),
+    );
+  }
+  folder.children = kids;
+  return folder;
+}
+
+function openCalibrationWizard() {
+  const v = { ...CALIBRATION_DEFAULTS, tool: isNumeric(state.settings.probeTool) ? Number(state.settings.probeTool) : CALIBRATION_DEFAULTS.tool };
+  const form = el("div", { class: "form-grid" });
+  const error = el("div", { class: "modal-error", role: "alert" });
+  const close = () => { overlay.remove(); document.removeEventListener("keydown", onKey); };
+  const onKey = (e) => { if (e.key === "Escape") close(); };
+
+  const draw = () => form.replaceChildren(
+    ...CALIBRATION_FIELDS.filter(f => !f.when || f.when(v)).map(f => el("div", { class: "field" },
+      el("label", {}, f.label),
+      f.type === "select"
+        ? el("select", { class: "sel", onChange: (e) => { v[f.key] = e.target.value; draw(); } },
+            ...f.options.map(o => {
+              const val = typeof o === "object" ? o.value : o;
+              return el("option", { value: val, ...(v[f.key] === val ? { selected: true } : {}) }, typeof o === "object" ? o.label : o);
+            }))
+        : el("input", { class: "inp", type: "number", step: String(f.step), value: v[f.key], onInput: (e) => { v[f.key] = e.target.value; } })
+    )),
+    el("div", { class: "field wide" },
+      el("label", {}, "Steps"),
+      el("div", { class: "radio-group" }, ...CALIBRATION_STEPS.map(s => el("label", { class: "radio" },
+        el("input", {
+          type: "checkbox", ...(v.steps.includes(s.value) ? { checked: true } : {}),
+          onChange: (e) => { v.steps = CALIBRATION_STEPS.map(x => x.value).filter(x => (x === s.value ? e.target.checked : v.steps.includes(x))); },
+        }),
+        s.label
+      )))
+    )
+  );
+
+  const generate = () => {
+    const msg = checkCalibrationInput(v);
+    error.textContent = msg || "";
+    if (msg) return;
+    const folder = buildCalibrationTree(v);
+    recordHistory();
+    insertNode(folder, state.targetParentId, Infinity);
+    close();
+    focusCard(folder.id);
+  };
+
+  const overlay = el("div", { class: "modal-backdrop", onClick: (e) => { if (e.target === overlay) close(); } },
+    el("div", { class: "modal", role: "dialog", "aria-modal": "true", "aria-labelledby": "cal-title" },
+      el("h2", { id: "cal-title" }, "Probe Calibration Wizard"),
+      el("p", { class: "help" }, "Builds length, XY offset and ball radius calibration in the right order. Cycles are added to the toolbox “Add to” destination."),
+      form,
+      error,
+      el("div", { class: "modal-actions" },
+        el("button", { class: "btn btn-gray", onClick: close }, "Cancel"),
+        el("button", { class: "btn btn-blue", onClick: generate }, "Generate")
+      )
+    )
+  );
+  draw();
+  document.body.append(overlay);
+  document.addEventListener("keydown", onKey);
+  qs("input, select", overlay)?.focus();
+}
+
+// =================== Custom Tool Editor ===================
+// Template tools (probe-core.js "Custom Tools") edited as copies; Save swaps
+// them into the project, the registry and the toolbox in one undo step.
+const CUSTOM_PARAM_LABELS = { number: "Number", text: "Text", select: "List" };
+const CUSTOM_UNIT_LABELS = { none: "No unit", length: "Length", feed: "Feed" };
+const CUSTOM_CATEGORY_LABELS = {
+  custom: "Custom Tools", setup: "Setup & Positioning", calibration: "Calibration",
+  toolset: "Tool Setting", probe: "Probe Operations", result: "Result Handling", report: "Reports",
+};
+
+function customToolUses(id) {
+  let count = 0;
+  for (const pr of state.programs) walk(pr.tree, (n) => { if (n.toolId === id) count++; });
+  return count;
+}
+
+// Cards of an edited tool take its new icon, section, description and new
+// parameters; the name only if the card still had the tool's old one.
+function refreshCustomNodes(before, defs) {
+  const old = new Map(before.map(d => [d.id, d]));
+  for (const def of defs) {
+    const tool = TOOL_BY_ID[def.id];
+    for (const pr of state.programs) walk(pr.tree, (n) => {
+      if (n.toolId !== def.id) return;
+      if (n.name === old.get(def.id)?.name) n.name = tool.name;
+      Object.assign(n, { icon: tool.icon, category: tool.category, description: tool.desc, params: { ...tool.defaultParams, ...n.params } });
+    });
+  }
+}
+
+function openCustomToolEditor() {
+  const drafts = state.customTools.map(normalizeCustomTool);
+  let current = drafts[0] || null;
+  const body = el("div", { class: "ct-body" });
+  const error = el("div", { class: "modal-error", role: "alert" });
+  const note = el("div", { class: "help" });
+  const preview = el("pre", { class: "mono ct-preview" });
+  const close = () => { overlay.remove(); document.removeEventListener("keydown", onKey); };
+  const onKey = (e) => { if (e.key === "Escape") close(); };
+  const field = (label, input, cls = "field") => el("div", { class: cls }, el("label", {}, label), input);
+  const options = (values, labels, selected) => values.map(v => el("option", { value: v, ...(v === selected ? { selected: true } : {}) }, labels[v]));
+
+  const showPreview = () => {
+    if (!current) return;
+    const text = fillTemplate(current.template, Object.fromEntries(current.params.map(p => [p.key, p.default]))).join("\n");
+    preview.textContent = text || "(nothing — every word has a blank placeholder)";
+  };
+
+  const paramRow = (p) => el("tr", {},
+    el("td", {}, el("input", { class: "inp mono", value: p.key, placeholder: "depth", "aria-label": "Key", onInput: (e) => { p.key = e.target.value.trim(); showPreview(); } })),
+    el("td", {}, el("input", { class: "inp", value: p.label, placeholder: "Depth", "aria-label": "Label", onInput: (e) => { p.label = e.target.value; } })),
+    el("td", {}, el("select", { class: "sel", "aria-label": "Type", onChange: (e) => { p.type = e.target.value; draw(); } },
+      ...options(CUSTOM_PARAM_TYPES, CUSTOM_PARAM_LABELS, p.type))),
+    el("td", {}, p.type === "select"
+      ? el("input", { class: "inp", value: p.options.join(", "), placeholder: "A, B, C", "aria-label": "Options", onInput: (e) => { p.options = e.target.value.split(",").map(o => o.trim()).filter(Boolean); } })
+      : p.type === "number"
+        ? el("select", { class: "sel", "aria-label": "Unit", title: "Lengths and feeds are converted when the program switches mm/inch", onChange: (e) => { p.unit = e.target.value; } },
+          ...options(CUSTOM_PARAM_UNITS, CUSTOM_UNIT_LABELS, p.unit))
+        : null),
+    el("td", {}, el("input", { class: "inp mono", value: p.default, "aria-label": "Default", onInput: (e) => { p.default = e.target.value; showPreview(); } })),
+    el("td", {}, el("input", { type: "checkbox", title: "May be left blank on the card", ...(p.optional ? { checked: true } : {}), onChange: (e) => { p.optional = e.target.checked; } })),
+    el("td", {}, el("button", { class: "cbtn red", title: "Remove parameter", onClick: () => { current.params.splice(current.params.indexOf(p), 1); draw(); } }, "✕"))
+  );
+
+  const draw = () => {
+    error.textContent = "";
+    body.replaceChildren(
+      el("div", { class: "ct-pick" },
+        el("select", { class: "sel", "aria-label": "Custom tool", onChange: (e) => { current = drafts[Number(e.target.value)]; draw(); } },
+          ...(drafts.length
+            ? drafts.map((d, i) => el("option", { value: String(i), ...(d === current ? { selected: true } : {}) }, `${d.icon} ${d.name || "(unnamed)"}`))
+            : [el("option", {}, "No custom tools yet")])),
+        el("button", { class: "btn btn-gray btn-sm", onClick: () => { current = normalizeCustomTool({ name: "New Tool", template: "G65 P9000" }); drafts.push(current); draw(); } }, "+ New tool"),
+        current ? el("button", { class: "btn btn-gray btn-sm", onClick: removeTool }, "🗑 Delete") : null),
+      current
+        ? el("div", { class: "form-grid" },
+            field("Name", el("input", { class: "inp", value: current.name, onInput: (e) => { current.name = e.target.value; } })),
+            field("Icon", el("input", { class: "inp", value: current.icon, onInput: (e) => { current.icon = e.target.value; } })),
+            field("Toolbox section", el("select", { class: "sel", onChange: (e) => { current.category = e.target.value; } },
+              ...options(CUSTOM_CATEGORIES, CUSTOM_CATEGORY_LABELS, current.category))),
+            field("Description", el("input", { class: "inp", value: current.desc, onInput: (e) => { current.desc = e.target.value; } })),
+            field("Parameters", el("div", {},
+              current.params.length
+                ? el("table", { class: "ct-params" },
+                    el("tr", {}, ...["Key", "Label", "Type", "Options / unit", "Default", "Optional", ""].map(h => el("th", {}, h))),
+                    ...current.params.map(paramRow))
+                : el("div", { class: "help" }, "No parameters — the template goes out as written."),
+              el("button", {
+                class: "btn btn-gray btn-sm",
+                onClick: () => { current.params.push(normalizeCustomTool({ params: [{ key: `p${current.params.length + 1}` }] }).params[0]); draw(); },
+              }, "+ Parameter")), "field wide"),
+            field("G-code template", el("textarea", {
+              class: "inp mono", rows: String(Math.max(3, current.template.split("\n").length)),
+              onInput: (e) => { current.template = e.target.value; showPreview(); },
+            }, current.template), "field wide"),
+            el("div", { class: "help wide" }, "{key} is replaced by the card's value. A word whose placeholder is blank is left out (a (comment) counts as one word), and a line with no words left is dropped: G65 P9050 A{depth} B{feed}."),
+            field("Output with the defaults", preview, "field wide"))
+        : el("p", { class: "help" }, "Define shop macros (pallet checks, your own probe wrappers…) once and add them from the toolbox like any other cycle.")
+    );
+    showPreview();
+  };
+
+  const removeTool = () => {
+    const uses = customToolUses(current.id);
+    if (uses && !window.confirm(`${uses} card(s) use "${current.name}". They stay in the routine but emit nothing. Delete the tool?`)) return;
+    drafts.splice(drafts.indexOf(current), 1);
+    current = drafts[0] || null;
+    draw();
+  };
+
+  const saveAll = () => {
+    for (const d of drafts) {
+      const errs = customToolErrors(d);
+      if (!errs.length) continue;
+      current = d; draw();
+      error.textContent = `${d.name || "Unnamed tool"}: ${errs[0]}`;
+      return;
+    }
+    recordHistory();
+    const before = state.customTools;
+    state.customTools = drafts.map(normalizeCustomTool);
+    registerCustomTools(state.customTools);
+    refreshCustomNodes(before, state.customTools);
+    save(); renderToolbox(); renderAll();
+    close();
+  };
+
+  const exportLibrary = () => {
+    const slug = (state.meta.name || "probe").replace(/[^\w.-]+/g, "_");
+    downloadText(JSON.stringify(customToolLibrary(drafts), null, 2), `${slug}.probe-tools.json`, "application/json");
+  };
+
+  // tools with an id already here replace it; the rest are added
+  const libInput = el("input", {
+    type: "file", accept: ".json", hidden: true,
+    onChange: async (e) => {
+      const file = e.target.files?.[0];
+      e.target.value = "";
+      if (!file) return;
+      let tools;
+      try {
+        tools = readCustomToolLibrary(JSON.parse(await file.text()));
+      } catch (err) {
+        error.textContent = `Could not read ${file.name}: ${err.message}`;
+        return;
+      }
+      for (const t of tools) {
+        const i = drafts.findIndex(d => d.id === t.id);
+        if (i >= 0) drafts[i] = t; else drafts.push(t);
+      }
+      current = tools[0] || current;
+      draw();
+      note.textContent = `${tools.length} tool(s) read from ${file.name}. Save to add them to the project.`;
+    },
+  });
+
+  const overlay = el("div", { class: "modal-backdrop", onClick: (e) => { if (e.target === overlay) close(); } },
+    el("div", { class: "modal modal-wide", role: "dialog", "aria-modal": "true", "aria-labelledby": "ct-title" },
+      el("h2", { id: "ct-title" }, "Custom Tools"),
+      el("p", { class: "help" }, "Saved with the project. Export a library file to share tools with other projects."),
+      body,
+      note,
+      error,
+      el("div", { class: "modal-actions" },
+        libInput,
+        el("button", { class: "btn btn-gray", onClick: () => libInput.click() }, "Import library…"),
+        el("button", { class: "btn btn-gray", onClick: exportLibrary }, "Export library"),
+        el("span", { class: "spacer" }),
+        el("button", { class: "btn btn-gray", onClick: close }, "Cancel"),
+        el("button", { class: "btn btn-blue", onClick: saveAll }, "Save")
+      )
+    )
+  );
+  draw();
+  document.body.append(overlay);
+  document.addEventListener("keydown", onKey);
+  qs("select, input", overlay)?.focus();
+}
+
 // =================== Toolbox ===================
 function renderToolbox() {
   // Group by category
-  const byCat = { org: [], setup: [], probe: [] };
+  const byCat = { org: [], setup: [], calibration: [], toolset: [], probe: [], result: [], report: [], custom: [] };
   for (const t of TOOLS) byCat[t.category]?.push(t);
 
   if (toolboxOrgs.org) {
@@ -711,9 +1751,26 @@ function renderToolbox() {
   if (toolboxOrgs.setup) {
     toolboxOrgs.setup.replaceChildren(...byCat.setup.map(makeToolCard));
   }
+  if (toolboxOrgs.calibration) {
+    toolboxOrgs.calibration.replaceChildren(...byCat.calibration.map(makeToolCard));
+  }
+  if (toolboxOrgs.toolset) {
+    toolboxOrgs.toolset.replaceChildren(...byCat.toolset.map(makeToolCard));
+  }
   if (toolboxOrgs.probe) {
     toolboxOrgs.probe.replaceChildren(...byCat.probe.map(makeToolCard));
   }
+  if (toolboxOrgs.result) {
+    toolboxOrgs.result.replaceChildren(...byCat.result.map(makeToolCard));
+  }
+  if (toolboxOrgs.report) {
+    toolboxOrgs.report.replaceChildren(...byCat.report.map(makeToolCard));
+  }
+  if (toolboxOrgs.custom) {
+    toolboxOrgs.custom.replaceChildren(...(byCat.custom.length
+      ? byCat.custom.map(makeToolCard)
+      : [el("p", { class: "help" }, state.customTools.length ? "Your custom tools are in the sections chosen for them." : "Shop macros you define appear here.")]));
+  }
 }
 
 function makeToolCard(t) {
@@ -729,26 +1786,190 @@ function wireHeader() {
   const toggleBtn = qs("#btn-toggle-gcode");
   const label     = qs("#gc-label");
   const download  = qs("#btn-download");
+  const openBtn   = qs("#btn-open-gcode");
+  const openInput = qs("#open-gcode-input");
+  const controllerSel = qs("#controller-select");
 
   toggleBtn?.addEventListener("click", () => {
     state.showGCode = !state.showGCode;
     gcodePanel?.classList.toggle("show", state.showGCode);
     if (label) label.textContent = state.showGCode ? "Hide G‑Code" : "Show G‑Code";
     save();
-    if (state.showGCode && gcodePre) gcodePre.textContent = generateGCode();
+    if (state.showGCode) renderGCode();
   });
 
   download?.addEventListener("click", () => {
-    const g = generateGCode();
-    const blob = new Blob([g], { type: "text/plain" });
-    const url = URL.createObjectURL(blob);
-    const a = el("a", { href: url, download: "probe_routine.nc" });
-    document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+    const { errors } = issueCounts(state.issues);
+    if (errors && !window.confirm(`The routine has ${errors} validation error(s). Export anyway?`)) return;
+    for (const f of generateProgramFiles()) downloadText(f.text, f.name);
+  });
+
+  if (controllerSel) {
+    controllerSel.replaceChildren(...Object.values(CONTROLLERS).map(d =>
+      el("option", { value: d.id, ...(d.id === state.controller ? { selected: true } : {}) }, d.name)));
+    controllerSel.addEventListener("change", (e) => {
+      state.controller = e.target.value;
+      save(); renderAll();
+    });
+  }
+
+  qs("#issue-summary")?.addEventListener("click", () => {
+    const first = [...state.issues.keys()][0];
+    // variable declarations come after every card
+    if (activeProgram().variables.some(v => v.id === first)) qs(`[data-focus="var:${CSS.escape(first)}:name"]`)?.focus();
+    else if (first) focusCard(first);
+  });
+  renderSettingsForm();
+  // offsets list the G154 numbers in use, so rebuild on open
+  qs("#settings-form")?.closest("details")?.addEventListener("toggle", (e) => { if (e.target.open) renderSettingsForm(); });
+
+  qs("#btn-undo")?.addEventListener("click", undo);
+  qs("#btn-redo")?.addEventListener("click", redo);
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // text fields keep native undo; leave the tree alone while a dialog is open
+    const t = e.target;
+    if (t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || "") || qs(".modal-backdrop")) return;
+    const k = e.key.toLowerCase();
+    if (k === "z" && !e.shiftKey) { e.preventDefault(); undo(); }
+    else if ((k === "z" && e.shiftKey) || k === "y") { e.preventDefault(); redo(); }
   });
 
+  const projInput = qs("#open-project-input");
+  qs("#btn-save-project")?.addEventListener("click", saveProjectFile);
+  qs("#btn-new-program")?.addEventListener("click", addProgram);
+  qs("#btn-new-variable")?.addEventListener("click", () => addVariable());
+  qs("#btn-calibration-wizard")?.addEventListener("click", openCalibrationWizard);
+  qs("#btn-custom-tools")?.addEventListener("click", openCustomToolEditor);
+  qs("#btn-open-project")?.addEventListener("click", () => projInput?.click());
+  projInput?.addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) openProjectText(await file.text());
+  });
+
+  openBtn?.addEventListener("click", () => openInput?.click());
+  openInput?.addEventListener("change", async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) importGCodeText(await file.text());
+  });
+
+  const previewBtn   = qs("#btn-toggle-preview");
+  const previewLabel = qs("#pv-label");
+  const viewSel      = qs("#preview-view");
+  const syncPreview = () => {
+    previewPanel?.classList.toggle("show", state.showPreview);
+    if (previewLabel) previewLabel.textContent = state.showPreview ? "Hide Preview" : "Show Preview";
+    if (state.showPreview) renderPreview();
+  };
+  previewBtn?.addEventListener("click", () => {
+    state.showPreview = !state.showPreview;
+    save(); syncPreview();
+  });
+  if (viewSel) {
+    viewSel.replaceChildren(...Object.entries(PREVIEW_VIEWS).map(([k, v]) =>
+      el("option", { value: k, ...(k === state.previewView ? { selected: true } : {}) }, v.label)));
+    viewSel.addEventListener("change", (e) => {
+      state.previewView = e.target.value;
+      save(); renderPreview();
+    });
+  }
+  syncPreview();
+
+  const simBtn   = qs("#btn-toggle-sim");
+  const simLabel = qs("#sim-label");
+  const syncSim = () => {
+    simPanel?.classList.toggle("show", state.showSim);
+    if (simLabel) simLabel.textContent = state.showSim ? "Hide Dry Run" : "Dry Run";
+    if (state.showSim) renderSimulation();
+  };
+  simBtn?.addEventListener("click", () => {
+    state.showSim = !state.showSim;
+    save(); syncSim();
+  });
+  syncSim();
+
   targetSelect?.addEventListener("change", (e) => setTargetParent(e.target.value));
 }
 
+// -------- Machine profile (header menu) --------
+// Blank values are not checked; travel is in machine coordinates.
+const SETTINGS_GROUPS = [
+  { title: "Probe", fields: [
+    { key: "units", label: "Profile units", type: "select", options: Object.values(UNITS).map(u => ({ value: u.id, label: u.label })), help: "Lengths and feeds below; programs in other units are checked against them converted." },
+    { key: "probeTool", label: "Probe tool (T)", step: 1, help: "Blank: any tool change before a probe cycle is accepted." },
+    { key: "stylusLength", label: "Probe length", step: 0.001, help: "Gauge line to ball tip." },
+    { key: "stylusBall", label: "Ball diameter", step: 0.001 },
+  ] },
+  { title: "Feeds", fields: [
+    { key: "maxProbeFeed", label: "Max probing feed", step: 1 },
+    { key: "maxProtectedFeed", label: "Max protected-move feed", step: 1 },
+  ] },
+  { title: "Travel", pairs: true, fields: ["X", "Y", "Z"].flatMap(ax => [
+    { key: `travel${ax}Min`, label: `${ax} min`, step: 0.001 },
+    { key: `travel${ax}Max`, label: `${ax} max`, step: 0.001 },
+  ]) },
+  { title: "Clearance", fields: [
+    { key: "safeZ", label: "Safe retract Z (work)", step: 0.001, help: "XY rapids below this Z are flagged." },
+    { key: "autoApproach", label: "Auto approach", type: "checkbox", help: "Protected retract, XY move and plunge (P9810) before each probe card with a start point. Containers can override." },
+  ] },
+  { title: "Named variables", fields: [
+    { key: "varRangeCommon", label: "Common range", type: "text" },
+    { key: "varRangeRetained", label: "Retained range", type: "text" },
+  ] },
+];
+
+const setSetting = (patch) => { state.settings = { ...state.settings, ...patch }; save(); renderAll(); };
+
+// G54–G59, then any G154 Pn a program selects or the profile already has.
+function workOffsetKeys() {
+  const keys = new Set(["G54", "G55", "G56", "G57", "G58", "G59"]);
+  for (const pr of state.programs) walk(pr.tree, (n) => { if (n.toolId === "set-work-offset" && n.params.offset === "G154") keys.add(`G154 P${n.params.P}`); });
+  Object.keys(state.settings.workOffsets || {}).forEach(k => keys.add(k));
+  return [...keys];
+}
+
+function renderSettingsForm() {
+  const form = qs("#settings-form");
+  if (!form) return;
+  const input = (value, onValue, attrs = {}) => el("input", {
+    class: "inp", type: "number", value: value ?? "", ...attrs,
+    onChange: (e) => onValue(e.target.value === "" || attrs.type === "text" ? e.target.value : Number(e.target.value)),
+  });
+  const offsets = state.settings.workOffsets || {};
+  const setOffset = (key, ax, v) => {
+    const row = { ...offsets[key], [ax]: v };
+    const next = { ...offsets, [key]: row };
+    if (Object.values(row).every(x => x === "")) delete next[key];
+    setSetting({ workOffsets: next });
+  };
+  form.replaceChildren(
+    ...SETTINGS_GROUPS.map(g => el("div", { class: "set-group" },
+      el("h4", {}, g.title),
+      el("div", { class: g.pairs ? "set-pairs" : "set-fields" }, ...g.fields.map(f => el("div", { class: "field" },
+        f.type === "checkbox"
+          ? el("label", { class: "radio" },
+            el("input", { type: "checkbox", ...(state.settings[f.key] ? { checked: true } : {}), onChange: (e) => setSetting({ [f.key]: e.target.checked }) }),
+            f.label)
+          : f.type === "select"
+          ? [el("label", {}, f.label), el("select", { class: "sel", onChange: (e) => setSetting({ [f.key]: e.target.value }) },
+            ...f.options.map(o => el("option", { value: o.value, ...(state.settings[f.key] === o.value ? { selected: true } : {}) }, o.label)))]
+          : [el("label", {}, f.label), input(state.settings[f.key], (v) => setSetting({ [f.key]: v }), { ...(f.type ? { type: f.type } : {}), ...(f.step ? { step: String(f.step) } : {}) })],
+        f.help ? el("div", { class: "help" }, f.help) : null
+      ))))),
+    el("div", { class: "set-group" },
+      el("h4", {}, "Work offsets"),
+      el("div", { class: "help" }, "Machine position of each work zero. Travel is only checked under an offset filled in here."),
+      el("table", { class: "set-offsets" },
+        el("tr", {}, el("th", {}), ...["X", "Y", "Z"].map(ax => el("th", {}, ax))),
+        ...workOffsetKeys().map(key => el("tr", {},
+          el("th", {}, key),
+          ...["X", "Y", "Z"].map(ax => el("td", {}, input(offsets[key]?.[ax], (v) => setOffset(key, ax, v), { step: "0.001", "aria-label": `${key} ${ax}` }))))))
+    )
+  );
+}
+
 // =================== Demo seed (optional) ===================
 function maybeSeed() {
   if (state.tree.length) return;
@@ -765,9 +1986,12 @@ function maybeSeed() {
 
 // =================== Init ===================
 load();
+loadHistory();
 maybeSeed();
 renderToolbox();
 wireHeader();
+wireListDrop();
+wireGCodePanel();
 renderAll();
 
 // Close open move menus on global click (safety)
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/* cli.js — build .nc files from a .probe.json project without the browser
+
+   node cli.js <project.probe.json> [options]
+     -o, --out <dir>          write files into <dir> (default: current directory)
+     -c, --controller <id>    haas | fanuc | okuma | mazak (default: the project's)
+     -p, --program <number>   only this program number; repeat for more (default: all)
+         --stdout             print the listings instead of writing files
+         --date <text>        fixed "Date:" header text, for diffing against golden files
+         --strict             exit 1 when validation finds errors
+   Validation issues are reported on stderr. Exit codes: 0 ok, 1 validation
+   errors (--strict), 2 bad arguments or unreadable project.
+*/
+const fs = require("fs");
+const path = require("path");
+const core = require("./probe-core.js");
+
+const USAGE = "Usage: node cli.js <project.probe.json> [-o dir] [-c controller] [-p number]... [--stdout] [--date text] [--strict]";
+
+// "1000", "01000", "O1000" → 1000; NaN when it is not a program number.
+function programNumber(text) {
+  const m = String(text ?? "").trim().match(/^O?(\d+)$/i);
+  return m ? Number(m[1]) : NaN;
+}
+
+function parseArgs(argv) {
+  const opts = { file: null, out: ".", controller: null, programs: [], stdout: false, date: undefined, strict: false };
+  const value = (i, flag) => {
+    if (i >= argv.length) throw new Error(`${flag} needs a value.`);
+    return argv[i];
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "-o" || a === "--out") opts.out = value(++i, a);
+    else if (a === "-c" || a === "--controller") opts.controller = value(++i, a);
+    else if (a === "-p" || a === "--program") opts.programs.push(value(++i, a));
+    else if (a === "--date") opts.date = value(++i, a);
+    else if (a === "--stdout") opts.stdout = true;
+    else if (a === "--strict") opts.strict = true;
+    else if (a === "-h" || a === "--help") opts.help = true;
+    else if (a.startsWith("-")) throw new Error(`Unknown option ${a}.`);
+    else if (opts.file) throw new Error(`Only one project file, got ${opts.file} and ${a}.`);
+    else opts.file = a;
+  }
+  if (!opts.help && !opts.file) throw new Error("No project file given.");
+  if (opts.controller && !core.CONTROLLERS[opts.controller]) {
+    throw new Error(`Unknown controller "${opts.controller}" (${Object.keys(core.CONTROLLERS).join(", ")}).`);
+  }
+  return opts;
+}
+
+function loadProject(file) {
+  const text = fs.readFileSync(file, "utf8");
+  const project = core.migrateProject(JSON.parse(text));
+  core.registerCustomTools(project.customTools);
+  return project;
+}
+
+// "O01000 #2.1 Bore / Boss: error: ..." (or "O01000 variable count: ...") lines for one program.
+function reportIssues(program, dialect, settings) {
+  const issues = core.validateTree(program.tree, { dialect, settings, variables: program.variables, units: program.header.units, programNumber: program.header.number });
+  const name = core.programFileName(program, dialect).replace(/\.nc$/, "");
+  for (const [id, list] of issues) {
+    const node = core.findNode(id, program.tree);
+    const v = !node && (program.variables || []).find(x => x.id === id);
+    const where = v ? `variable ${v.name}` : `#${core.cardNumber(id, program.tree)} ${node?.name || core.TOOL_BY_ID[node?.toolId]?.name || id}`;
+    for (const i of list) console.error(`${name} ${where}: ${i.level}: ${i.msg}`);
+  }
+  return core.issueCounts(issues);
+}
+
+function main(argv) {
+  let opts, project;
+  try {
+    opts = parseArgs(argv);
+    if (opts.help) { console.log(USAGE); return 0; }
+    project = loadProject(opts.file);
+  } catch (err) {
+    console.error(`cli: ${err.message}`);
+    if (!opts?.file) console.error(USAGE);
+    return 2;
+  }
+
+  const dialect = core.dialectFor(opts.controller || project.controller);
+  const settings = { ...core.DEFAULT_SETTINGS, ...project.settings };
+  const programs = opts.programs.length
+    ? project.programs.filter(p => opts.programs.some(n => programNumber(n) === programNumber(p.header.number)))
+    : project.programs;
+  const missing = opts.programs.filter(n => !project.programs.some(p => programNumber(p.header.number) === programNumber(n)));
+  if (missing.length) {
+    console.error(`cli: no program numbered ${missing.join(", ")} in ${opts.file}.`);
+    return 2;
+  }
+
+  let errors = 0;
+  const written = new Map();  // file name → program that wrote it
+  for (const program of programs) {
+    errors += reportIssues(program, dialect, settings).errors;
+    const files = core.generateProgramFiles(dialect, program, settings, { date: opts.date });
+    if (opts.stdout) {
+      process.stdout.write(files.map(f => f.text).join("%\n"));
+      continue;
+    }
+    fs.mkdirSync(opts.out, { recursive: true });
+    for (const f of files) {
+      if (written.has(f.name)) console.error(`cli: ${f.name} from "${program.header.name}" overwrites the one from "${written.get(f.name)}".`);
+      written.set(f.name, program.header.name);
+      fs.writeFileSync(path.join(opts.out, f.name), f.text);
+      console.log(path.join(opts.out, f.name));
+    }
+  }
+  return opts.strict && errors ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv.slice(2));
+
+module.exports = { main, parseArgs };
@@ -0,0 +1,3397 @@
+/* probe-core.js — Probe Builder routine model and G-code emitter (no DOM)
+   - Program defaults, node ids and the validation limits
+   - Controller dialects, tool registry (TOOLS) and field schemas (UI_SCHEMAS),
+     plus the project's own template-based custom tools
+   - Tree utilities and .probe.json project migrations
+   - Context-based emitter, macro expressions, named variables
+   - Rule-based validation and G-code import
+   Nothing here reads workspace state: every function is handed the tree,
+   program or settings it works on. Loaded by index.html ahead of app.js
+   (window.ProbeCore) and by cli.js through require().
+*/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.ProbeCore = factory();
+})(typeof globalThis !== "undefined" ? globalThis : this, function () {
+
+// =================== Defaults & IDs ===================
+// Machine profile used by validation; editable from the header "Machine" menu.
+// Blank limits are not checked.
+const DEFAULT_SETTINGS = {
+  probeTool: "",          // T number of the spindle probe; blank = any tool change counts
+  stylusLength: "",       // probe length, gauge line to ball tip (added to Z for travel checks)
+  stylusBall: "",         // stylus ball diameter
+  maxProbeFeed: 500,      // measuring feed limit for P9811/P9812
+  maxProtectedFeed: 3000, // P9810 protected positioning limit
+  travelXMin: "", travelXMax: "",  // axis travel, machine coordinates
+  travelYMin: "", travelYMax: "",
+  travelZMin: "", travelZMax: "",
+  safeZ: "",              // work Z that XY rapids must stay at or above
+  autoApproach: false,    // protected moves to each probe card's start point (containers may override)
+  units: "mm",            // units the lengths and feeds above are in
+  workOffsets: {},        // "G54" / "G154 P1" → { X, Y, Z }: machine position of that work zero
+  varRangeCommon: "100-199",   // named variables: volatile common range
+  varRangeRetained: "500-999", // named variables: retained common range
+};
+
+const DEFAULT_PROGRAM_HEADER = { number: 1000, name: "Probe Routine", description: "", author: "", partNumber: "", revision: "", units: "mm" };
+
+const uid = () =>
+  "op_" + (globalThis.crypto?.randomUUID ? globalThis.crypto.randomUUID() : (Date.now().toString(36) + "_" + Math.random().toString(36).slice(2, 8)));
+
+function makeProgram(header = {}, tree = [], variables = []) {
+  return { id: uid(), header: { ...DEFAULT_PROGRAM_HEADER, ...header }, tree, variables };
+}
+
+// =================== Controller Dialects ===================
+// Everything controller-specific the emitter writes goes through one of these.
+// The tree itself is dialect-neutral (Haas names: G154 P, G65 P98xx).
+//   maxLoopNesting — deepest WHILE/DO allowed; 0 = no DO loops, WHILE is
+//                    emitted as IF/GOTO with labels instead.
+//   localSubCall   — call into a subprogram after M30 in the same file;
+//                    null = none, subroutines always go to their own file.
+//   wearVar        — tool wear offset variable; wearIsRadius when the D
+//                    register holds a radius rather than a diameter.
+//   dprnt          — POPEN / DPRNT / PCLOS available for reports.
+//   shift          — G52 local shift of the active work zero; null = none.
+
+const CONTROLLERS = {
+  haas: {
+    id: "haas",
+    name: "Haas NGC",
+    programName: (n) => `O${String(n).padStart(5, "0")}`,
+    comment: (s) => `;${s}`,
+    init: ["G0 G17 G40 G49 G80 G90"],
+    homeReturn: ["G0 G53 Z0."],
+    workOffset: (offset, P) => (offset === "G154" ? `G154 P${P}` : offset),
+    macroCall: (program, words) => [`G65 ${program}`, ...words.map(([k, v]) => `${k}${v}`)].join(" "),
+    label: (n) => `N${n}`,
+    goto: (n) => `GOTO ${n}`,
+    ifGoto: (cond, n) => `IF [${cond}] GOTO ${n}`,
+    subCall: (n, L) => `M98 P${n}${L > 1 ? ` L${L}` : ""}`,
+    localSubCall: (n, L) => `M97 P${n}${L > 1 ? ` L${L}` : ""}`,
+    subEnd: "M99",
+    alarm: (n, msg) => [`#3000= ${n} (${msg})`],
+    stopMessage: (msg) => [`#3006= 1 (${msg})`],
+    wearVar: (kind, t) => `#${(kind === "length" ? 2200 : 2600) + Number(t)}`,
+    wearIsRadius: false,
+    dprnt: true,
+    maxLoopNesting: 3,
+    shift: (x, y) => `G52 X${x} Y${y}`,
+  },
+  fanuc: {
+    id: "fanuc",
+    name: "Fanuc 0i / 30i",
+    programName: (n) => `O${String(n).padStart(4, "0")}`,
+    comment: (s) => `(${s})`,
+    init: ["G0 G17 G40 G49 G80 G90"],
+    homeReturn: ["G91 G28 Z0.", "G90"],
+    workOffset: (offset, P) => (offset === "G154" ? `G54.1 P${P}` : offset),
+    macroCall: (program, words) => [`G65 ${program}`, ...words.map(([k, v]) => `${k}${v}`)].join(" "),
+    label: (n) => `N${n}`,
+    goto: (n) => `GOTO ${n}`,
+    ifGoto: (cond, n) => `IF [${cond}] GOTO ${n}`,
+    subCall: (n, L) => `M98 P${n}${L > 1 ? ` L${L}` : ""}`,
+    localSubCall: null,
+    subEnd: "M99",
+    alarm: (n, msg) => [`#3000= ${n} (${msg})`],
+    stopMessage: (msg) => [`#3006= 1 (${msg})`],
+    wearVar: (kind, t) => `#${(kind === "length" ? 10000 : 12000) + Number(t)}`,
+    wearIsRadius: true,
+    dprnt: true,
+    maxLoopNesting: 3,
+    shift: (x, y) => `G52 X${x} Y${y}`,
+  },
+  okuma: {
+    id: "okuma",
+    name: "Okuma OSP",
+    programName: (n) => `O${n}`,
+    comment: (s) => `(${s})`,
+    init: ["G0 G17 G40 G80 G90"],
+    homeReturn: ["G30 P1"],
+    // G15 Hn: G54–G59 → H1–H6, G154 Pn → H(6+n)
+    workOffset: (offset, P) => `G15 H${offset === "G154" ? 6 + Number(P) : Number(offset.slice(1)) - 53}`,
+    macroCall: (program, words) => [`CALL O${program.replace(/^P/, "O")}`, ...words.map(([k, v]) => `${k}=${v}`)].join(" "),
+    label: (n) => `N${n}`,
+    goto: (n) => `GOTO N${n}`,
+    ifGoto: (cond, n) => `IF [${cond}] N${n}`,
+    subCall: (n, L) => `CALL O${n}${L > 1 ? ` Q${L}` : ""}`,
+    localSubCall: null,
+    subEnd: "RTS",
+    alarm: (n, msg) => [`VUACM[1]= '${msg}'`, `VDOUT[992]= ${n}`],
+    stopMessage: (msg) => [`MSG (${msg})`, `M0`],
+    wearVar: (kind, t) => `${kind === "length" ? "VTOFH" : "VTOFD"}[${t}]`,
+    wearIsRadius: true,
+    dprnt: false,
+    maxLoopNesting: 0,
+    shift: null,
+  },
+  mazak: {
+    id: "mazak",
+    name: "Mazak (EIA/ISO)",
+    programName: (n) => `O${String(n).padStart(4, "0")}`,
+    comment: (s) => `(${s})`,
+    init: ["G0 G17 G40 G49 G80 G90"],
+    homeReturn: ["G91 G28 Z0.", "G90"],
+    workOffset: (offset, P) => (offset === "G154" ? `G54.1 P${P}` : offset),
+    macroCall: (program, words) => [`G65 ${program}`, ...words.map(([k, v]) => `${k}${v}`)].join(" "),
+    label: (n) => `N${n}`,
+    goto: (n) => `GOTO ${n}`,
+    ifGoto: (cond, n) => `IF [${cond}] GOTO ${n}`,
+    subCall: (n, L) => `M98 P${n}${L > 1 ? ` L${L}` : ""}`,
+    localSubCall: null,
+    subEnd: "M99",
+    alarm: (n, msg) => [`#3000= ${n} (${msg})`],
+    stopMessage: (msg) => [`#3006= 1 (${msg})`],
+    wearVar: (kind, t) => `#${(kind === "length" ? 10000 : 12000) + Number(t)}`,
+    wearIsRadius: true,
+    dprnt: true,
+    maxLoopNesting: 3,
+    shift: (x, y) => `G52 X${x} Y${y}`,
+  },
+};
+
+const dialectFor = (id) => CONTROLLERS[id] || CONTROLLERS.haas;
+
+// =================== Tools Registry ===================
+// A tool is a node template with optional "container: true" and a gcode emitter.
+// Inline edit UI is driven by UI_SCHEMAS below. summary(op, program) and
+// preview(op, program) feed the card; `program` is the one the node lives in.
+
+// Tools with a `cycle` may also define parse(words) → params (or null) so that
+// imported "G65 Pxxxx ..." lines can be mapped back onto them.
+
+// Optional Inspection Plus inputs shared by the P9813+ measuring cycles.
+const INSPECTION_ARGS = ["Z", "S", "T", "E", "H", "M", "R", "Q"];
+const INSPECTION_DEFAULTS = Object.fromEntries(INSPECTION_ARGS.map(k => [k, ""]));
+
+// Where a probe cycle starts, for auto approach; blank X/Y = not planned.
+const START_DEFAULTS = { startX: "", startY: "", startZ: "" };
+
+const isBlank = (v) => v === "" || v === null || v === undefined;
+
+function inspectionArgs(params) {
+  return Object.fromEntries(INSPECTION_ARGS.map(k => [k, params[k]]));
+}
+
+// Inspection Plus output variables: measured value and error from nominal.
+const PROBE_RESULTS = {
+  X:     { label: "X position", short: "X",    value: 135, error: 140 },
+  Y:     { label: "Y position", short: "Y",    value: 136, error: 141 },
+  Z:     { label: "Z position", short: "Z",    value: 137, error: 142 },
+  Size:  { label: "Size",       short: "SIZE", value: 138, error: 143 },
+  Angle: { label: "Angle",      short: "ANG",  value: 139, error: 144 },
+};
+const TRUE_POSITION_ERROR = 145;
+const ALARM_TEXT_MAX = 26;  // Fanuc #3000 limit; Haas allows 30
+
+const alarmText = (msg) => String(msg || "PROBE ALARM").toUpperCase().replace(/[()]/g, "");
+const producesResults = (node) => !!TOOL_BY_ID[node.toolId]?.results;
+
+function resultSummary(op, program, text) {
+  const src = findPreceding(op.id, producesResults, program.tree);
+  return `${text} — from ${src ? src.name : "no probe cycle"}`;
+}
+
+// -------- DPRNT reports --------
+// A print line is a list of parts: { text } or { value: "#135", int, dec }.
+// DPRNT prints * as a space and takes numbers as [#n[ID]] (I integer, D decimal digits).
+const REPORT_SAMPLES = { X: 25.0031, Y: -12.4987, Z: -5.0012, Size: 20.0124, Angle: 0.0532 };
+
+const dprntText = (s) => String(s ?? "").toUpperCase().replace(/\s+/g, "*").replace(/[^A-Z0-9*.\-\/:+=]/g, "");
+
+function printLine(parts, dialect) {
+  // no DPRNT: say where each value is kept rather than print a made-up figure
+  if (!dialect.dprnt) return dialect.comment(`REPORT: ${parts.map(p => p.value || String(p.text ?? "").toUpperCase()).filter(Boolean).join(" ")}`);
+  return `DPRNT[${parts.map(p => (p.value ? `[${p.value}[${p.int}${p.dec}]]` : dprntText(p.text))).filter(Boolean).join("*")}]`;
+}
+
+function previewPrintLine(parts) {
+  return parts.map(p => {
+    if (!p.value) return String(p.text ?? "").toUpperCase();
+    const n = Number(p.sample ?? 0);
+    return n.toFixed(Number(p.dec)).padStart(Number(p.int) + Number(p.dec) + 2);
+  }).filter(Boolean).join(" ");
+}
+
+const reportKinds = (value) => (value === "both" ? ["value", "error"] : [value === "error" ? "error" : "value"]);
+
+// Parts for one report-line; `addr(key, kind)` says where each result is read from.
+function reportLineParts(op, addr) {
+  const p = op.params;
+  const fmt = { int: p.int, dec: p.dec };
+  return [{ text: p.label }, ...(p.values || []).flatMap(key => reportKinds(p.value).flatMap(kind => {
+    const r = PROBE_RESULTS[key];
+    if (!r) return [];
+    const sample = kind === "error" ? REPORT_SAMPLES[key] - Math.round(REPORT_SAMPLES[key]) : REPORT_SAMPLES[key];
+    return [{ text: kind === "error" ? `${r.short}ERR` : r.short }, { value: addr(key, kind), sample, ...fmt }];
+  }))];
+}
+
+function reportHeaderParts(op, header) {
+  const p = op.params, inc = p.include || [];
+  const lines = [[{ text: p.title }]];
+  if (inc.includes("part") && (header?.partNumber || header?.revision)) {
+    lines.push([{ text: `PART ${header.partNumber || ""}` }, header.revision ? { text: `REV ${header.revision}` } : null].filter(Boolean));
+  }
+  if (inc.includes("date")) {
+    lines.push([{ text: "DATE" }, { value: "#3011", int: 8, dec: 0, sample: 20261019 }, { text: "TIME" }, { value: "#3012", int: 6, dec: 0, sample: 143005 }]);
+  }
+  for (const l of String(p.lines || "").split("\n").filter(l => l.trim())) lines.push([{ text: l }]);
+  return lines;
+}
+
+// -------- Tool setting --------
+// P9851 B1 sets length, B2 radius; P9853 checks for a broken tool. T is the
+// offset register to update, which defaults to the tool number itself.
+const TOOL_SET_MODES = { "ts-length": 1, "ts-radius": 2 };
+
+// "1, 2, 5-8" → [1, 2, 5, 6, 7, 8]; null when any entry is not a tool number.
+function parseToolList(text) {
+  const out = [];
+  for (const part of String(text ?? "").split(/[,\s]+/).filter(Boolean)) {
+    const m = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!m) return null;
+    const [a, b] = [Number(m[1]), Number(m[2] ?? m[1])];
+    if (!a || b < a || b - a > 200) return null;
+    for (let t = a; t <= b; t++) out.push(t);
+  }
+  return out.length ? out : null;
+}
+
+// The tool a setting cycle measures: the enclosing Measure All Tools pass, or
+// the nearest preceding tool change (planned once per program by planTools).
+const toolSetTool = (op, ctx) => ctx.tool ?? ctx.tools.get(op.id) ?? null;
+
+function toolSetGcode(op, ctx, program, args) {
+  const tool = toolSetTool(op, ctx);
+  if (isBlank(tool) && isBlank(op.params.offset)) return [ctx.dialect.comment(`${op.name}: no tool loaded - skipped`), ``];
+  const T = isBlank(op.params.offset) ? tool : op.params.offset;
+  return [macroCall(program, { ...args, T, H: op.params.tolerance }, ctx.dialect), ``];
+}
+
+function toolSetSummary(op, program) {
+  let pass = null, sub = null;
+  eachContainer((n) => {
+    if (!isDescendant(n.id, op.id, program.tree)) return;
+    if (n.toolId === "ts-measure-all") pass = n;
+    if (n.toolId === "subroutine") sub = n;
+  }, program.tree);
+  const tc = pass || sub ? null : findPreceding(op.id, (n) => n.toolId === "tool-change", program.tree);
+  const tool = pass ? "each listed tool" : sub ? "caller's tool" : tc ? `T${tc.params.toolNumber}` : "no tool loaded";
+  const off = isBlank(op.params.offset) ? "" : ` → offset ${op.params.offset}`;
+  return `${tool}${off}${isBlank(op.params.tolerance) ? "" : `, tol ${op.params.tolerance}`}`;
+}
+
+// -------- Patterns --------
+// A Pattern card repeats its children once per part: per work offset from a
+// list, or per position of an XY grid shifted with G52 from the active zero.
+
+// "G54-G56, P1-4, 7" → [{ offset, P }]; bare numbers are G154 P numbers.
+// null when any entry is not a work offset.
+function parseOffsetList(text) {
+  const out = [];
+  const list = String(text ?? "").toUpperCase().replace(/G154\s*P/g, "P");
+  for (const part of list.split(/[,\s]+/).filter(Boolean)) {
+    let m;
+    if ((m = part.match(/^G5([4-9])(?:-G?5([4-9]))?$/))) {
+      const [a, b] = [Number(m[1]), Number(m[2] ?? m[1])];
+      if (b < a) return null;
+      for (let g = a; g <= b; g++) out.push({ offset: `G5${g}`, P: "1" });
+    } else if ((m = part.match(/^P?(\d+)(?:-P?(\d+))?$/))) {
+      const [a, b] = [Number(m[1]), Number(m[2] ?? m[1])];
+      if (!a || b < a || b > 99) return null;
+      for (let n = a; n <= b; n++) out.push({ offset: "G154", P: String(n) });
+    } else return null;
+  }
+  return out.length ? out : null;
+}
+
+const gridCount = (v) => (isNumeric(v) && Number.isInteger(Number(v)) && Number(v) >= 1 ? Number(v) : null);
+
+// [{ label, offset } | { label, shift: [x, y] }] in run order (grid: row by row); null when invalid.
+function patternParts(p) {
+  if (p.mode !== "grid") return parseOffsetList(p.offsets)?.map(o => ({ label: workOffsetKey(o), offset: o })) ?? null;
+  const [cols, rows] = [gridCount(p.columns), gridCount(p.rows)];
+  if (!cols || !rows || !isNumeric(p.pitchX) || !isNumeric(p.pitchY)) return null;
+  const at = (i, pitch) => Math.round(i * Number(pitch) * 10000) / 10000;
+  return Array.from({ length: cols * rows }, (_, k) => {
+    const shift = [at(k % cols, p.pitchX), at(Math.floor(k / cols), p.pitchY)];
+    return { label: `X${shift[0]} Y${shift[1]}`, shift };
+  });
+}
+
+// Loop form of a pattern on this dialect, or null when it has to be unrolled:
+// a grid counts parts 0..n-1, an offset list must be one unbroken G154 P run.
+function patternLoop(p, dialect) {
+  const parts = patternParts(p);
+  if (p.emit !== "loop" || !parts || !dialect.maxLoopNesting) return null;
+  if (p.mode === "grid") return dialect.shift ? { count: parts.length } : null;
+  const P = parts.map(part => (part.offset.offset === "G154" ? Number(part.offset.P) : NaN));
+  return P.every((n, i) => n === P[0] + i) ? { first: P[0], last: P.at(-1) } : null;
+}
+
+// Address a loop counts on: a looping pattern's counter, or the variable a
+// WHILE tests on its left. null when there is none to tell.
+function loopCounter(node, dialect, variables) {
+  const text = String((node.toolId === "pattern" ? patternLoop(node.params, dialect) && node.params.counter : node.params.left) || "").trim();
+  const m = text.match(/^#(\d+)$/);
+  return m ? Number(m[1]) : variables.has(text) ? Number(variables.get(text).address) : null;
+}
+
+// Parts validation walks a pattern's cards with: every offset, but only the
+// corners of a grid, which hold its travel extremes.
+function patternCheckParts(p, parts) {
+  if (p.mode !== "grid") return parts;
+  const cols = gridCount(p.columns), last = parts.length - 1;
+  return [...new Set([0, cols - 1, last - cols + 1, last])].map(k => parts[k]);
+}
+
+function patternLoopGcode(op, ctx, loop) {
+  const d = ctx.dialect, { columns, pitchX, pitchY } = op.params;
+  const v = resolveVars(String(op.params.counter).trim(), ctx), i = ctx.loopIndex();
+  const row = `FIX[${v} / ${columns}]`;
+  const [start, test, select] = loop.count
+    ? [`${v}= 0`, `${v} LT ${loop.count}`, d.shift(`[[${v} - ${row} * ${columns}] * ${pitchX}]`, `[${row} * ${pitchY}]`)]
+    : [`${v}= ${loop.first}`, `${v} LE ${loop.last}`, d.workOffset("G154", v)];
+  return [
+    withVarNote(start, ctx, op.params.counter),
+    `WHILE [${test}] DO${i}`,
+    `  ${select}`,
+    ...emitChildren(op, ctx.inLoop(), 1),
+    `  ${v}= ${v} + 1`,
+    `END${i}`,
+    ...(loop.count ? [d.shift(0, 0)] : []),
+    ``,
+  ];
+}
+
+// "G65 P98xx A.. B.." (or the dialect's equivalent) — blank letters are left out.
+function macroCall(program, args, dialect = CONTROLLERS.haas) {
+  const words = Object.entries(args).filter(([, v]) => !isBlank(v));
+  return dialect.macroCall(program, words);
+}
+
+const TOOLS = [
+  // --------- Organization / Containers ----------
+  {
+    id: "folder",
+    name: "Folder",
+    icon: "📁",
+    desc: "Organize operations",
+    category: "org",
+    container: true,
+    defaultParams: { name: "New Section", note: "", approach: "" },
+    gcode(op, ctx) {
+      const nm = (op.params.name || "SECTION").toUpperCase();
+      const lines = [
+        ctx.dialect.comment(`===== ${nm} =====`),
+        ...(emitChildren(op, ctx, 0)),
+        ctx.dialect.comment(`===== END ${nm} =====`),
+        ``,
+      ];
+      return lines;
+    },
+  },
+  {
+    id: "if-block",
+    name: "IF Block",
+    icon: "🧩",
+    desc: "Conditional block",
+    category: "org",
+    container: true,
+    defaultParams: { left: "#100", op: "GT", right: "#101", approach: "" }, // example: #100 GT #101
+    parameterOptions: { op: ["EQ", "NE", "GT", "GE", "LT", "LE"] },
+    gcode(op, ctx) {
+      const { op: cmp } = op.params;
+      const [left, right] = [op.params.left, op.params.right].map(e => resolveVars(e, ctx));
+      const d = ctx.dialect;
+      // jump over the THEN branch when the condition is false
+      const skip = `${left} ${CMP_NEGATION[cmp] || cmp} ${right}`;
+      const test = (label) => withVarNote(d.ifGoto(skip, label), ctx, op.params.left, op.params.right);
+      const elseNode = ctx.nextSibling?.toolId === "else-block" ? ctx.nextSibling : null;
+      if (!elseNode) {
+        const end = ctx.nextLabel();
+        return [test(end), ...emitChildren(op, ctx, 1), d.label(end), ``];
+      }
+      const elseLabel = ctx.nextLabel(), end = ctx.nextLabel();
+      return [
+        test(elseLabel),
+        ...emitChildren(op, ctx, 1),
+        d.goto(end),
+        sourceLine(d.label(elseLabel), elseNode.id),
+        ...emitChildren(elseNode, ctx, 1),
+        d.label(end),
+        ``,
+      ];
+    },
+  },
+  {
+    id: "else-block",
+    name: "ELSE Block",
+    icon: "↪️",
+    desc: "Runs when the IF above is false",
+    category: "org",
+    container: true,
+    defaultParams: { approach: "" },
+    gcode(op, ctx) {
+      // emitted by the IF block directly before it
+      if (ctx.prevSibling?.toolId === "if-block") return [];
+      return [ctx.dialect.comment(`ELSE without IF - skipped`), ``];
+    },
+  },
+  {
+    id: "while-block",
+    name: "WHILE Loop",
+    icon: "🔁",
+    desc: "Loop while condition is true",
+    category: "org",
+    container: true,
+    defaultParams: { left: "#100", op: "LT", right: "10", approach: "" }, // e.g., while #100 LT 10
+    parameterOptions: { op: ["EQ", "NE", "GT", "GE", "LT", "LE"] },
+    gcode(op, ctx) {
+      const { op: cmp } = op.params;
+      const [left, right] = [op.params.left, op.params.right].map(e => resolveVars(e, ctx));
+      const d = ctx.dialect;
+      const note = (line) => withVarNote(line, ctx, op.params.left, op.params.right);
+      if (!d.maxLoopNesting) {
+        // no DO loops on this control: top label, exit test, jump back
+        const top = ctx.nextLabel(), end = ctx.nextLabel();
+        return [
+          d.label(top),
+          note(d.ifGoto(`${left} ${CMP_NEGATION[cmp] || cmp} ${right}`, end)),
+          ...emitChildren(op, ctx, 1),
+          d.goto(top),
+          d.label(end),
+          ``,
+        ];
+      }
+      const i = ctx.loopIndex();
+      const lines = [
+        note(`WHILE [${left} ${cmp} ${right}] DO${i}`),
+        ...emitChildren(op, ctx.inLoop(), 1),
+        `END${i}`,
+        ``,
+      ];
+      return lines;
+    },
+  },
+  {
+    id: "pattern",
+    name: "Pattern",
+    icon: "🔲",
+    desc: "Repeat the cards inside for each work offset or grid position",
+    category: "org",
+    container: true,
+    defaultParams: { mode: "offsets", offsets: "P1-4", pitchX: 50, pitchY: 50, columns: 2, rows: 2, emit: "unrolled", counter: "#100", approach: "" },
+    parameterOptions: { mode: ["offsets", "grid"], emit: ["unrolled", "loop"] },
+    summary(op) {
+      const p = op.params, parts = patternParts(p);
+      const what = p.mode === "grid" ? `${p.columns} × ${p.rows} grid, pitch ${p.pitchX} / ${p.pitchY}` : `Offsets ${p.offsets}`;
+      return `${what}${parts ? ` — ${parts.length} parts` : ""}${p.emit === "loop" ? `, loop on ${p.counter}` : ""}`;
+    },
+    gcode(op, ctx) {
+      const d = ctx.dialect, parts = patternParts(op.params), grid = op.params.mode === "grid";
+      if (!parts) return [d.comment(`Pattern: bad ${grid ? "grid" : "offset list"} - skipped`), ``];
+      if (grid && !d.shift) return [d.comment(`Pattern: no G52 shift on this control - skipped`), ``];
+      const loop = patternLoop(op.params, d);
+      if (loop) return patternLoopGcode(op, ctx, loop);
+      const lines = parts.flatMap((part, k) => [
+        d.comment(`Part ${k + 1}/${parts.length}: ${part.label}`),
+        part.offset ? d.workOffset(part.offset.offset, part.offset.P) : d.shift(...part.shift),
+        ...emitChildren(op, ctx, 0),
+      ]);
+      return grid ? [...lines, d.shift(0, 0), ``] : lines;
+    },
+  },
+  {
+    id: "subroutine",
+    name: "Subroutine",
+    icon: "🧰",
+    desc: "Defined once, run by Call nodes",
+    category: "org",
+    container: true,
+    defaultParams: { name: "SUB", number: 8000, mode: "local", approach: "" },
+    parameterOptions: { mode: ["local", "external"] },
+    gcode() {
+      // body is emitted once, after M30 or as its own file (generateProgramFiles)
+      return [];
+    },
+  },
+  {
+    id: "call-subroutine",
+    name: "Call Subroutine",
+    icon: "📞",
+    desc: "Run a subroutine (L repeats)",
+    category: "org",
+    defaultParams: { target: "", L: 1 },
+    summary(op, program) {
+      const sub = findNode(op.params.target, program.tree);
+      if (!sub) return "No subroutine selected";
+      return `${sub.params.name} (${sub.params.number})${Number(op.params.L) > 1 ? ` × ${op.params.L}` : ""}`;
+    },
+    gcode(op, ctx) {
+      const sub = ctx.subroutines.get(op.params.target);
+      if (!sub) return [ctx.dialect.comment(`Call to missing subroutine - skipped`)];
+      const d = ctx.dialect, n = Number(sub.params.number), L = Number(op.params.L) || 1;
+      return [isLocalSub(sub, d) ? d.localSubCall(n, L) : d.subCall(n, L)];
+    },
+  },
+  {
+    id: "assign-var",
+    name: "Assign Variable",
+    icon: "🟰",
+    desc: "#n = expression",
+    category: "org",
+    defaultParams: { target: "", expr: "0" },
+    summary(op) {
+      return op.params.target ? `${op.params.target} = ${op.params.expr}` : "No variable selected";
+    },
+    gcode(op, ctx) {
+      const { target, expr } = op.params;
+      return [withVarNote(`${resolveVars(target, ctx)}= ${resolveVars(expr, ctx)}`, ctx, target, expr)];
+    },
+  },
+
+  // --------- Setup ----------
+  {
+    id: "set-work-offset",
+    name: "Work Offset",
+    icon: "🎯",
+    desc: "Set active work offset",
+    category: "setup",
+    defaultParams: { offset: "G54", P: "1" },
+    parameterOptions: { offset: ["G54", "G55", "G56", "G57", "G58", "G59", "G154"], P: Array.from({ length: 99 }, (_, i) => String(i + 1)) },
+    gcode(op, ctx) {
+      return [ctx.dialect.workOffset(op.params.offset, op.params.P), ""];
+    },
+  },
+  {
+    id: "tool-change",
+    name: "Tool Change",
+    icon: "🔧",
+    desc: "Change to specified tool",
+    category: "setup",
+    defaultParams: { toolNumber: 1, spindleSpeed: 1000, coolant: "M8" },
+    parameterOptions: { coolant: ["M8", "M7", "M9", ""] },
+    gcode(op) {
+      const { toolNumber, spindleSpeed, coolant } = op.params;
+      // probe tools are changed without spindle or coolant — blank skips the line
+      return [`T${toolNumber} M6`, isBlank(spindleSpeed) ? null : `S${spindleSpeed} M3`, coolant || null, ``]
+        .filter(l => l !== null);
+    },
+  },
+  {
+    id: "rapid-move",
+    name: "Rapid Move",
+    icon: "⚡",
+    desc: "G0 rapid positioning",
+    category: "setup",
+    defaultParams: { X: 0, Y: 0, Z: 25 },
+    gcode(op) {
+      const words = ["X", "Y", "Z"].filter(k => !isBlank(op.params[k])).map(k => `${k}${op.params[k]}`);
+      return [["G0", ...words].join(" "), ``];
+    },
+  },
+  {
+    id: "raw-gcode",
+    name: "Raw G-code",
+    icon: "📝",
+    desc: "Lines passed through verbatim",
+    category: "setup",
+    defaultParams: { text: "" },
+    gcode(op) {
+      return String(op.params.text || "").split("\n");
+    },
+  },
+
+  // --------- Probe Ops ----------
+  // P9811 single-axis (X or Y or Z) — radio control
+  {
+    id: "single-touch-axis",
+    name: "Single Touch (P9811)",
+    icon: "📍",
+    desc: "Single-axis touch — choose X or Y or Z",
+    category: "probe",
+    cycle: "P9811",
+    results: (p) => [String(p.axis || "X").toUpperCase()],
+    defaultParams: { axis: "X", distance: -10, feed: 10, ...START_DEFAULTS },
+    gcode(op, ctx) {
+      const { axis = "X", distance = -10, feed = 10 } = op.params;
+      const ax = String(axis).toUpperCase();
+      return [macroCall("P9811", { [ax]: distance, F: feed }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return axisWordsToParams(words, ["X", "Y", "Z"], { feed: "" }, { F: "feed" });
+    },
+  },
+
+  // P9812 Web/Pocket — Auto by Z or explicit mode
+  {
+    id: "web-pocket",
+    name: "Web / Pocket (P9812)",
+    icon: "🧱",
+    desc: "Rectangular web or pocket probing",
+    category: "probe",
+    cycle: "P9812",
+    results: () => ["X", "Y", "Size"],
+    defaultParams: { mode: "auto", X: 0, Y: 0, Z: "", W: 20, L: 15, feed: 10, ...START_DEFAULTS },
+    parameterOptions: { mode: ["auto", "web", "pocket"] },
+    gcode(op, ctx) {
+      const p = op.params;
+      const isPocket = p.mode === "pocket" || (p.mode === "auto" && !isBlank(p.Z));
+      return [macroCall("P9812", { X: p.X, Y: p.Y, Z: isPocket ? p.Z : "", W: p.W, L: p.L, F: p.feed }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, { mode: "auto", X: "", Y: "", Z: "", W: "", L: "", feed: "" }, { F: "feed" });
+    },
+  },
+
+  // Simple P9810 safe position / single point for completeness
+  {
+    id: "safe-approach",
+    name: "Safe Approach (P9810)",
+    icon: "🛡️",
+    desc: "G65 P9810 safe positioning",
+    category: "probe",
+    cycle: "P9810",
+    defaultParams: { X: 0, Y: 0, Z: 25, feed: 1000 },
+    gcode(op, ctx) {
+      const { X, Y, Z, feed } = op.params;
+      return [macroCall("P9810", { X, Y, Z, F: feed }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, { X: "", Y: "", Z: "", feed: "" }, { F: "feed" });
+    },
+  },
+
+  // --------- Inspection Plus measuring cycles ----------
+  // results(params) lists the PROBE_RESULTS keys a cycle writes.
+  // Params are keyed by the macro letter; optional letters left blank are omitted.
+  {
+    id: "multi-stylus-surface",
+    name: "Multi-Stylus Surface (P9813)",
+    icon: "🖊️",
+    desc: "XY single surface with a multi-stylus probe",
+    category: "probe",
+    defaultParams: { axis: "X", distance: -10, ...INSPECTION_DEFAULTS, ...START_DEFAULTS },
+    cycle: "P9813",
+    results: (p) => [String(p.axis || "X").toUpperCase()],
+    gcode(op, ctx) {
+      const p = op.params;
+      const ax = String(p.axis || "X").toUpperCase();
+      return [macroCall("P9813", { [ax]: p.distance, ...inspectionArgs(p) }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return axisWordsToParams(words, ["X", "Y"], blankParams(this.defaultParams));
+    },
+  },
+  {
+    id: "bore-boss",
+    name: "Bore / Boss (P9814)",
+    icon: "⭕",
+    desc: "Bore or boss diameter and centre",
+    category: "probe",
+    defaultParams: { D: 20, ...INSPECTION_DEFAULTS, ...START_DEFAULTS },
+    cycle: "P9814",
+    results: () => ["X", "Y", "Size"],
+    gcode(op, ctx) {
+      const p = op.params;
+      return [macroCall("P9814", { D: p.D, ...inspectionArgs(p) }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, blankParams(this.defaultParams));
+    },
+  },
+  {
+    id: "three-point-bore",
+    name: "3-Point Bore / Boss (P9823)",
+    icon: "🔘",
+    desc: "Bore or boss from three angled touches",
+    category: "probe",
+    defaultParams: { D: 20, A: 0, B: 120, C: 240, ...INSPECTION_DEFAULTS, ...START_DEFAULTS },
+    cycle: "P9823",
+    results: () => ["X", "Y", "Size"],
+    gcode(op, ctx) {
+      const p = op.params;
+      return [macroCall("P9823", { D: p.D, A: p.A, B: p.B, C: p.C, ...inspectionArgs(p) }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, blankParams(this.defaultParams));
+    },
+  },
+  {
+    id: "corner",
+    name: "Corner (P9815)",
+    icon: "📐",
+    desc: "Internal or external corner",
+    category: "probe",
+    defaultParams: { X: 0, Y: 0, I: "", J: "", ...INSPECTION_DEFAULTS, ...START_DEFAULTS },
+    cycle: "P9815",
+    results: () => ["X", "Y"],
+    gcode(op, ctx) {
+      const p = op.params;
+      return [macroCall("P9815", { X: p.X, Y: p.Y, I: p.I, J: p.J, ...inspectionArgs(p) }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, blankParams(this.defaultParams));
+    },
+  },
+  {
+    id: "angle-measure",
+    name: "Angle Measure (P9816)",
+    icon: "📏",
+    desc: "Surface angle from two touches",
+    category: "probe",
+    defaultParams: { axis: "X", distance: -10, D: 20, A: 0, ...INSPECTION_DEFAULTS, ...START_DEFAULTS },
+    cycle: "P9816",
+    results: () => ["Angle"],
+    gcode(op, ctx) {
+      const p = op.params;
+      const ax = String(p.axis || "X").toUpperCase();
+      return [macroCall("P9816", { [ax]: p.distance, D: p.D, A: p.A, ...inspectionArgs(p) }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return axisWordsToParams(words, ["X", "Y"], blankParams(this.defaultParams));
+    },
+  },
+  {
+    id: "fourth-axis",
+    name: "4th Axis Measure (P9843)",
+    icon: "🔄",
+    desc: "Rotary axis alignment on Y or Z",
+    category: "probe",
+    defaultParams: { axis: "Y", distance: -10, D: 20, ...INSPECTION_DEFAULTS, ...START_DEFAULTS },
+    cycle: "P9843",
+    results: () => ["Angle"],
+    gcode(op, ctx) {
+      const p = op.params;
+      const ax = String(p.axis || "Y").toUpperCase();
+      return [macroCall("P9843", { [ax]: p.distance, D: p.D, ...inspectionArgs(p) }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return axisWordsToParams(words, ["Y", "Z"], blankParams(this.defaultParams));
+    },
+  },
+
+  // --------- Calibration ----------
+  // Run in order: length, XY offset, ball radius, then (optionally) vector.
+  {
+    id: "calib-length",
+    name: "Stylus Length (P9801)",
+    icon: "📏",
+    desc: "Set probe length on a ring gauge top or datum",
+    category: "calibration",
+    defaultParams: { Z: 0, T: "" },
+    cycle: "P9801",
+    gcode(op, ctx) {
+      return [macroCall("P9801", { Z: op.params.Z, T: op.params.T }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, blankParams(this.defaultParams));
+    },
+  },
+  {
+    id: "calib-xy",
+    name: "Stylus XY Offset (P9802)",
+    icon: "🎯",
+    desc: "Stylus centre offset in a ring gauge",
+    category: "calibration",
+    defaultParams: { D: 25 },
+    cycle: "P9802",
+    gcode(op, ctx) {
+      return [macroCall("P9802", { D: op.params.D }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, blankParams(this.defaultParams));
+    },
+  },
+  {
+    id: "calib-radius",
+    name: "Ball Radius (P9803)",
+    icon: "⚪",
+    desc: "Effective stylus ball radius in a ring gauge",
+    category: "calibration",
+    defaultParams: { D: 25 },
+    cycle: "P9803",
+    gcode(op, ctx) {
+      return [macroCall("P9803", { D: op.params.D }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, blankParams(this.defaultParams));
+    },
+  },
+  {
+    id: "calib-vector",
+    name: "Vector Ball Radius (P9804)",
+    icon: "✳️",
+    desc: "Ball radius at 45° vectors for angled measuring",
+    category: "calibration",
+    defaultParams: { D: 25 },
+    cycle: "P9804",
+    gcode(op, ctx) {
+      return [macroCall("P9804", { D: op.params.D }, ctx.dialect), ``];
+    },
+    parse(words) {
+      return wordsToParams(words, blankParams(this.defaultParams));
+    },
+  },
+
+  // --------- Tool setting (OTS / TS27R) ----------
+  {
+    id: "ts-length",
+    name: "Tool Length (P9851)",
+    icon: "📐",
+    desc: "Set tool length on the tool setter",
+    category: "toolset",
+    defaultParams: { offset: "", tolerance: "" },
+    cycle: "P9851",
+    summary: toolSetSummary,
+    gcode(op, ctx) {
+      return toolSetGcode(op, ctx, "P9851", { B: TOOL_SET_MODES[op.toolId] });
+    },
+    parse(words) {
+      if (words.B !== TOOL_SET_MODES[this.id]) return null;
+      const { B, ...rest } = words;
+      return wordsToParams(rest, blankParams(this.defaultParams), { T: "offset", H: "tolerance" });
+    },
+  },
+  {
+    id: "ts-radius",
+    name: "Tool Radius (P9851)",
+    icon: "⭕",
+    desc: "Set tool radius on the tool setter",
+    category: "toolset",
+    defaultParams: { D: 10, offset: "", tolerance: "" },
+    cycle: "P9851",
+    summary: (op, program) => `Ø${op.params.D} — ${toolSetSummary(op, program)}`,
+    gcode(op, ctx) {
+      return toolSetGcode(op, ctx, "P9851", { B: TOOL_SET_MODES[op.toolId], D: op.params.D });
+    },
+    parse(words) {
+      if (words.B !== TOOL_SET_MODES[this.id]) return null;
+      const { B, ...rest } = words;
+      return wordsToParams(rest, blankParams(this.defaultParams), { T: "offset", H: "tolerance" });
+    },
+  },
+  {
+    id: "ts-broken",
+    name: "Broken Tool (P9853)",
+    icon: "🪓",
+    desc: "Alarm if the tool is shorter than its offset",
+    category: "toolset",
+    defaultParams: { offset: "", tolerance: 0.2 },
+    cycle: "P9853",
+    summary: toolSetSummary,
+    gcode(op, ctx) {
+      return toolSetGcode(op, ctx, "P9853", {});
+    },
+    parse(words) {
+      return wordsToParams(words, blankParams(this.defaultParams), { T: "offset", H: "tolerance" });
+    },
+  },
+  {
+    id: "ts-measure-all",
+    name: "Measure All Tools",
+    icon: "🧮",
+    desc: "Change to each listed tool and run the cycles inside",
+    category: "toolset",
+    container: true,
+    defaultParams: { tools: "1, 2, 3" },
+    summary: (op) => `Tools ${op.params.tools}`,
+    gcode(op, ctx) {
+      const tools = parseToolList(op.params.tools);
+      if (!tools) return [ctx.dialect.comment(`Measure all tools: bad tool list - skipped`), ``];
+      return tools.flatMap(t => [
+        ctx.dialect.comment(`Measure T${t}`),
+        `T${t} M6`,
+        ...emitChildren(op, { ...ctx, tool: t }, 0),
+      ]);
+    },
+  },
+
+  // --------- Result handling ----------
+  // These read the #135–#145 outputs of the nearest measuring cycle above them.
+  {
+    id: "check-tolerance",
+    name: "Check Size in Tolerance",
+    icon: "🎚️",
+    desc: "Alarm, stop or flag when out of tolerance",
+    category: "result",
+    defaultParams: { result: "Size", nominal: "", upper: 0.05, lower: -0.05, action: "alarm", alarmNo: 1, message: "SIZE OUT OF TOLERANCE", flag: "" },
+    parameterOptions: { action: ["alarm", "stop", "flag"] },
+    summary: (op, program) => resultSummary(op, program, `${op.params.result} ${op.params.lower} / +${op.params.upper}`),
+    gcode(op, ctx) {
+      const p = op.params, d = ctx.dialect, r = PROBE_RESULTS[p.result] || PROBE_RESULTS.Size;
+      const v = isBlank(p.nominal) ? `#${r.error}` : `[#${r.value} - ${p.nominal}]`;
+      const end = ctx.nextLabel();
+      const inTol = d.ifGoto(`[${v} LE ${p.upper}] AND [${v} GE ${p.lower}]`, end);
+      if (p.action === "flag") {
+        const flag = resolveVars(p.flag, ctx);
+        return [withVarNote(`${flag}= 0`, ctx, p.flag), inTol, withVarNote(`${flag}= 1`, ctx, p.flag), d.label(end), ``];
+      }
+      const msg = alarmText(p.message);
+      return [inTol, ...(p.action === "stop" ? d.stopMessage(msg) : d.alarm(p.alarmNo, msg)), d.label(end), ``];
+    },
+  },
+  {
+    id: "alarm-position",
+    name: "Alarm if Out of Position",
+    icon: "🚨",
+    desc: "Alarm when the feature has moved too far",
+    category: "result",
+    defaultParams: { check: "XY", tol: 0.1, alarmNo: 2, message: "PART OUT OF POSITION" },
+    parameterOptions: { check: ["XY", "X", "Y", "Z", "TP"] },
+    summary: (op, program) => resultSummary(op, program, `${op.params.check} ±${op.params.tol}`),
+    gcode(op, ctx) {
+      const { check, tol, alarmNo, message } = op.params, d = ctx.dialect;
+      const conds = check === "TP"
+        ? [`#${TRUE_POSITION_ERROR} LE ${tol}`]
+        : check.split("").map(ax => `ABS[#${PROBE_RESULTS[ax].error}] LE ${tol}`);
+      const end = ctx.nextLabel();
+      return [
+        d.ifGoto(conds.length > 1 ? conds.map(c => `[${c}]`).join(" AND ") : conds[0], end),
+        ...d.alarm(alarmNo, alarmText(message)),
+        d.label(end),
+        ``,
+      ];
+    },
+  },
+  {
+    id: "adjust-wear",
+    name: "Adjust Tool Wear by Error",
+    icon: "🔧",
+    desc: "Feed the measured error back into a wear offset",
+    category: "result",
+    defaultParams: { result: "Size", tool: "", offset: "diameter", feature: "internal", percent: 100, maxAdjust: 0.5 },
+    parameterOptions: { offset: ["diameter", "length"], feature: ["internal", "external"] },
+    summary: (op, program) => resultSummary(op, program, `T${op.params.tool || "?"} ${op.params.offset} wear`),
+    gcode(op, ctx) {
+      const p = op.params, d = ctx.dialect, r = PROBE_RESULTS[p.result] || PROBE_RESULTS.Size;
+      const err = `#${r.error}`;
+      const wear = d.wearVar(p.offset, p.tool);
+      // oversize bore → bigger D; oversize boss → smaller D; high face → shorter H
+      const sign = p.offset === "diameter" && p.feature === "internal" ? "+" : "-";
+      const scale = p.offset === "diameter" && d.wearIsRadius ? 0.5 : 1;
+      const factor = isNumeric(p.percent) ? Number(p.percent) / 100 * scale : `[${p.percent} / 100${scale !== 1 ? ` * ${scale}` : ""}]`;
+      const step = factor === 1 ? err : `${err} * ${factor}`;
+      const end = isBlank(p.maxAdjust) ? null : ctx.nextLabel();
+      return [
+        end !== null ? d.ifGoto(`ABS[${err}] GT ${p.maxAdjust}`, end) : null,
+        `${wear}= ${wear} ${sign} ${step}`,
+        end !== null ? d.label(end) : null,
+        ``,
+      ].filter(l => l !== null);
+    },
+  },
+  {
+    id: "store-result",
+    name: "Store Result to Variable",
+    icon: "💾",
+    desc: "Copy a measured value or error into a variable",
+    category: "result",
+    defaultParams: { result: "Size", value: "measured", target: "" },
+    parameterOptions: { value: ["measured", "error"] },
+    summary: (op, program) => resultSummary(op, program, `${op.params.result} ${op.params.value} → ${op.params.target || "?"}`),
+    gcode(op, ctx) {
+      const { result, value, target } = op.params;
+      const r = PROBE_RESULTS[result] || PROBE_RESULTS.Size;
+      return [withVarNote(`${resolveVars(target, ctx)}= #${value === "error" ? r.error : r.value}`, ctx, target)];
+    },
+  },
+
+  // --------- Reports (DPRNT) ----------
+  {
+    id: "report-open",
+    name: "Open Report",
+    icon: "🖨️",
+    desc: "POPEN and header lines",
+    category: "report",
+    defaultParams: { title: "INSPECTION REPORT", include: ["part", "date"], lines: "" },
+    preview: (op, program) => reportHeaderParts(op, program.header).map(previewPrintLine).join("\n"),
+    gcode(op, ctx) {
+      const d = ctx.dialect;
+      return [...(d.dprnt ? ["POPEN"] : []), ...reportHeaderParts(op, ctx.header).map(l => printLine(l, d)), ``];
+    },
+  },
+  {
+    id: "report-line",
+    name: "Report Feature",
+    icon: "🧾",
+    desc: "DPRNT the results of a probe card",
+    category: "report",
+    defaultParams: { label: "FEATURE", source: "", values: ["X", "Y", "Size"], value: "value", int: 4, dec: 4 },
+    summary(op, program) {
+      const src = op.params.source ? findNode(op.params.source, program.tree) : findPreceding(op.id, producesResults, program.tree);
+      return `${op.params.label} — ${src ? `card #${cardNumber(src.id, program.tree)} ${src.name}` : "no probe cycle"}`;
+    },
+    preview: (op) => previewPrintLine(reportLineParts(op, () => "#")),
+    gcode(op, ctx) {
+      const cap = op.params.source ? ctx.captures.get(op.params.source) || [] : null;
+      const addr = (key, kind) => {
+        if (!cap) return `#${PROBE_RESULTS[key][kind]}`;
+        const c = cap.find(c => c.key === key && c.kind === kind);
+        return c && c.address !== null ? `#${c.address}` : `#${PROBE_RESULTS[key][kind]}`;
+      };
+      return [printLine(reportLineParts(op, addr), ctx.dialect)];
+    },
+  },
+  {
+    id: "report-close",
+    name: "Close Report",
+    icon: "📕",
+    desc: "PCLOS",
+    category: "report",
+    defaultParams: {},
+    gcode(op, ctx) {
+      return ctx.dialect.dprnt ? ["PCLOS", ``] : [];
+    },
+  },
+];
+
+const TOOL_BY_ID = Object.fromEntries(TOOLS.map(t => [t.id, t]));
+
+// Maps G65 words back onto params; null when a word has no matching param.
+function wordsToParams(words, defaults, rename = {}) {
+  const params = { ...defaults };
+  for (const [k, v] of Object.entries(words)) {
+    const key = rename[k] || k;
+    if (!(key in params)) return null;
+    params[key] = v;
+  }
+  return params;
+}
+
+// Imported calls only carry the letters that were written.
+const blankParams = (defaults) => Object.fromEntries(Object.keys(defaults).map(k => [k, ""]));
+
+// Same, for single-axis cycles: exactly one of `axes` carries the distance.
+function axisWordsToParams(words, axes, defaults, rename = {}) {
+  const present = axes.filter(a => a in words);
+  if (present.length !== 1) return null;
+  const [axis] = present;
+  const { [axis]: distance, ...rest } = words;
+  const params = wordsToParams(rest, { ...defaults, axis, distance }, rename);
+  return params && { ...params, axis, distance };
+}
+
+// =================== UI Schemas (inline editors) ===================
+// Each function returns an array of field descriptors:
+// { key, type: 'number'|'text'|'textarea'|'radio'|'select', label?, step?, options?, help?, optional?, literal?, unit? }
+// Number fields without `optional` must hold a number or a macro expression
+// (emitted as the word's value, X[#100 + 5]); `literal` ones only a number.
+// `unit` is "length", "feed", "deg" or null (none); left out, `feed` is a feed and any
+// other 0.001-step field a length (see fieldUnit).
+const UI_SCHEMAS = {
+  folder: (op) => [
+    { key: "name", type: "text", label: "Name" },
+    { key: "note", type: "text", label: "Note" },
+    approachField(),
+  ],
+
+  "if-block": (op) => [
+    { key: "left", type: "text", label: "Left", expr: true },
+    { key: "op", type: "select", label: "Operator", options: TOOL_BY_ID["if-block"].parameterOptions.op },
+    { key: "right", type: "text", label: "Right", expr: true },
+    approachField(),
+  ],
+
+  "else-block": (op) => [approachField()],
+
+  "while-block": (op) => [
+    { key: "left", type: "text", label: "Left", expr: true },
+    { key: "op", type: "select", label: "Operator", options: TOOL_BY_ID["while-block"].parameterOptions.op },
+    { key: "right", type: "text", label: "Right", expr: true },
+    approachField(),
+  ],
+
+  pattern: (op) => [
+    { key: "mode", type: "radio", label: "Repeat over", options: [
+      { value: "offsets", label: "Work offsets" }, { value: "grid", label: "XY grid (G52)" },
+    ] },
+    ...(op.params.mode === "grid"
+      ? [
+        { key: "pitchX", type: "number", label: "Pitch X", step: 0.001, literal: true },
+        { key: "pitchY", type: "number", label: "Pitch Y", step: 0.001, literal: true },
+        { key: "columns", type: "number", label: "Columns", step: 1, literal: true },
+        { key: "rows", type: "number", label: "Rows", step: 1, literal: true },
+      ]
+      : [{ key: "offsets", type: "text", label: "Work offsets", help: "G54-G59 and G154 P numbers, e.g. G54, G55 or P1-12." }]),
+    { key: "emit", type: "radio", label: "Emit as", options: [
+      { value: "unrolled", label: "Unrolled" }, { value: "loop", label: "WHILE loop" },
+    ] },
+    ...(op.params.emit === "loop"
+      ? [{ key: "counter", type: "text", label: "Counter", varRef: true, help: "Part index; a declared name or #address." }]
+      : []),
+    approachField(),
+  ],
+
+  "assign-var": (op) => [
+    { key: "target", type: "text", label: "Variable", varRef: true, help: "A declared name or #address." },
+    { key: "expr", type: "text", label: "Value", expr: true },
+  ],
+
+  subroutine: (op) => [
+    { key: "name", type: "text", label: "Name" },
+    { key: "number", type: "number", label: "Number", step: 1, literal: true, help: "N label for M97, program number for M98." },
+    { key: "mode", type: "select", label: "Emit as", options: [
+      { value: "local", label: "Local (M97, after M30)" },
+      { value: "external", label: "Separate file (M98)" },
+    ] },
+    approachField(),
+  ],
+
+  "call-subroutine": (op, program) => [
+    { key: "target", type: "select", label: "Subroutine", options: [
+      { value: "", label: "— choose —" },
+      ...collectSubroutines(program?.tree || []).map(n => ({ value: n.id, label: `${n.params.name} (${n.params.number})` })),
+    ] },
+    { key: "L", type: "number", label: "Repeat (L)", step: 1, literal: true },
+  ],
+
+  "check-tolerance": (op) => [
+    { key: "result", type: "select", label: "Result", options: resultOptions() },
+    { key: "nominal", type: "number", label: "Nominal", step: 0.001, optional: true, unit: resultUnit(op), help: "Blank: compare the cycle's own error (#140–#144)." },
+    { key: "upper", type: "number", label: "Upper tolerance", step: 0.001, unit: resultUnit(op) },
+    { key: "lower", type: "number", label: "Lower tolerance", step: 0.001, unit: resultUnit(op) },
+    { key: "action", type: "radio", label: "When out", options: [
+      { value: "alarm", label: "Alarm (#3000)" },
+      { value: "stop", label: "Stop with message (#3006)" },
+      { value: "flag", label: "Set flag variable" },
+    ] },
+    ...(op.params.action === "flag"
+      ? [{ key: "flag", type: "text", label: "Flag variable", varRef: true, help: "Set to 1 when out of tolerance, else 0." }]
+      : [
+          ...(op.params.action === "alarm" ? [{ key: "alarmNo", type: "number", label: "Alarm number", step: 1, literal: true }] : []),
+          { key: "message", type: "text", label: "Message" },
+        ]),
+  ],
+
+  "alarm-position": (op) => [
+    { key: "check", type: "radio", label: "Check", options: [
+      { value: "XY", label: "X and Y" }, "X", "Y", "Z", { value: "TP", label: "True position" },
+    ] },
+    { key: "tol", type: "number", label: "Allowed error (±)", step: 0.001 },
+    { key: "alarmNo", type: "number", label: "Alarm number", step: 1, literal: true },
+    { key: "message", type: "text", label: "Message" },
+  ],
+
+  "adjust-wear": (op) => [
+    { key: "result", type: "select", label: "Error from", options: resultOptions() },
+    { key: "tool", type: "number", label: "Tool to adjust (T)", step: 1, literal: true },
+    { key: "offset", type: "radio", label: "Wear offset", options: [{ value: "diameter", label: "Diameter (D)" }, { value: "length", label: "Length (H)" }] },
+    ...(op.params.offset === "diameter"
+      ? [{ key: "feature", type: "radio", label: "Feature", options: [{ value: "internal", label: "Bore / pocket" }, { value: "external", label: "Boss / web" }] }]
+      : []),
+    { key: "percent", type: "number", label: "Feedback %", step: 1 },
+    { key: "maxAdjust", type: "number", label: "Skip if error over", step: 0.001, optional: true, help: "Blank: always adjust." },
+  ],
+
+  "store-result": (op) => [
+    { key: "result", type: "select", label: "Result", options: resultOptions() },
+    { key: "value", type: "radio", label: "Value", options: [{ value: "measured", label: "Measured (#135–#139)" }, { value: "error", label: "Error (#140–#144)" }] },
+    { key: "target", type: "text", label: "Store in", varRef: true, help: "A declared name or #address." },
+  ],
+
+  "calib-length": (op) => [
+    { key: "Z", type: "number", label: "Reference surface Z", step: 0.001, help: "Probe sits above this surface (ring top or datum)." },
+    { key: "T", type: "number", label: "Tool offset to set (T)", step: 1 },
+  ],
+  "calib-xy":     (op) => [{ key: "D", type: "number", label: "Ring gauge diameter", step: 0.001, help: "Probe at the ring centre, at measuring depth." }],
+  "calib-radius": (op) => [{ key: "D", type: "number", label: "Ring gauge diameter", step: 0.001 }],
+  "calib-vector": (op) => [{ key: "D", type: "number", label: "Ring gauge diameter", step: 0.001 }],
+
+  "ts-length": (op) => [
+    { key: "offset", type: "number", label: "Offset register (T)", step: 1, optional: true, help: "Blank: the loaded tool's number." },
+    { key: "tolerance", type: "number", label: "Tolerance (H)", step: 0.001, optional: true, help: "Alarm if the offset changes by more than this." },
+  ],
+  "ts-radius": (op) => [
+    { key: "D", type: "number", label: "Nominal tool diameter (D)", step: 0.001 },
+    { key: "offset", type: "number", label: "Offset register (T)", step: 1, optional: true, help: "Blank: the loaded tool's number." },
+    { key: "tolerance", type: "number", label: "Tolerance (H)", step: 0.001, optional: true },
+  ],
+  "ts-broken": (op) => [
+    { key: "offset", type: "number", label: "Offset register (T)", step: 1, optional: true, help: "Blank: the loaded tool's number." },
+    { key: "tolerance", type: "number", label: "Broken if short by (H)", step: 0.001 },
+  ],
+  "ts-measure-all": (op) => [
+    { key: "tools", type: "text", label: "Tool numbers", help: "Comma separated; ranges like 5-8 are allowed." },
+  ],
+
+  "report-open": (op) => [
+    { key: "title", type: "text", label: "Title" },
+    { key: "include", type: "checks", label: "Header", options: [
+      { value: "part", label: "Part number / revision" },
+      { value: "date", label: "Date and time (#3011 / #3012)" },
+    ] },
+    { key: "lines", type: "textarea", label: "Extra lines", help: "One printed line each." },
+  ],
+
+  "report-line": (op, program) => [
+    { key: "label", type: "text", label: "Label" },
+    { key: "source", type: "select", label: "Results of", options: [
+      { value: "", label: "Nearest probe card above" },
+      ...measuringCards(program?.tree || []).map(({ node, number }) => ({ value: node.id, label: `#${number} ${node.name}` })),
+    ] },
+    { key: "values", type: "checks", label: "Log", options: resultOptions() },
+    { key: "value", type: "radio", label: "Print", options: [
+      { value: "value", label: "Measured" }, { value: "error", label: "Error" }, { value: "both", label: "Both" },
+    ] },
+    { key: "int", type: "number", label: "Integer digits", step: 1, literal: true },
+    { key: "dec", type: "number", label: "Decimal digits", step: 1, literal: true },
+  ],
+
+  "set-work-offset": (op) => [
+    { key: "offset", type: "select", label: "Offset", options: TOOL_BY_ID["set-work-offset"].parameterOptions.offset },
+    { key: "P", type: "select", label: "P (for G154)", options: TOOL_BY_ID["set-work-offset"].parameterOptions.P, help: "Only used when offset is G154." },
+  ],
+
+  "tool-change": (op) => [
+    { key: "toolNumber", type: "number", label: "Tool Number", step: 1, literal: true },
+    { key: "spindleSpeed", type: "number", label: "Spindle Speed", step: 1, optional: true, help: "Leave blank for probes (no S/M3 line)." },
+    { key: "coolant", type: "select", label: "Coolant", options: TOOL_BY_ID["tool-change"].parameterOptions.coolant.map(v => ({ value: v, label: v || "None" })) },
+  ],
+
+  "rapid-move": (op) => [
+    { key: "X", type: "number", step: 0.001 },
+    { key: "Y", type: "number", step: 0.001 },
+    { key: "Z", type: "number", step: 0.001 },
+  ],
+
+  "raw-gcode": (op) => [
+    { key: "text", type: "textarea", label: "G-code", help: "Emitted exactly as written, one block per line." },
+  ],
+
+  "single-touch-axis": (op) => [
+    { key: "axis", type: "radio", label: "Axis", options: ["X", "Y", "Z"], help: "P9811 takes exactly one axis." },
+    { key: "distance", type: "number", label: "Touch Distance", step: 0.001 },
+    { key: "feed", type: "number", label: "Feed (F)", step: 1 },
+    ...startFields(),
+  ],
+
+  "web-pocket": (op) => [
+    { key: "mode", type: "radio", label: "Mode", options: [
+      { value: "auto",   label: "Auto (Z→Pocket)" },
+      { value: "web",    label: "Web" },
+      { value: "pocket", label: "Pocket" },
+    ], help: "Auto: blank Z=Web, set Z=Pocket." },
+    { key: "X", type: "number", step: 0.001 },
+    { key: "Y", type: "number", step: 0.001 },
+    { key: "Z", type: "number", step: 0.001, label: "Z (Pocket only)", optional: true },
+    { key: "W", type: "number", step: 0.001, label: "Width (W)" },
+    { key: "L", type: "number", step: 0.001, label: "Length (L)" },
+    { key: "feed", type: "number", step: 1, label: "Feed (F)" },
+    ...startFields("Auto approach moves here before the cycle; blank = the feature X / Y."),
+  ],
+
+  "safe-approach": (op) => [
+    { key: "X", type: "number", step: 0.001 },
+    { key: "Y", type: "number", step: 0.001 },
+    { key: "Z", type: "number", step: 0.001 },
+    { key: "feed", type: "number", step: 1, label: "Feed (F)" },
+  ],
+
+  "multi-stylus-surface": (op) => [
+    { key: "axis", type: "radio", label: "Axis", options: ["X", "Y"], help: "Surface is measured along one XY axis." },
+    { key: "distance", type: "number", label: "Surface Position", step: 0.001 },
+    ...inspectionFields(),
+    ...startFields(),
+  ],
+
+  "bore-boss": (op) => [
+    { key: "D", type: "number", step: 0.001, label: "Diameter (D)" },
+    ...inspectionFields({ Z: "Blank Z = bore, set Z = boss plunge depth." }),
+    ...startFields(),
+  ],
+
+  "three-point-bore": (op) => [
+    { key: "D", type: "number", step: 0.001, label: "Diameter (D)" },
+    { key: "A", type: "number", step: 0.001, label: "1st Angle (A)", unit: "deg" },
+    { key: "B", type: "number", step: 0.001, label: "2nd Angle (B)", unit: "deg" },
+    { key: "C", type: "number", step: 0.001, label: "3rd Angle (C)", unit: "deg" },
+    ...inspectionFields({ Z: "Blank Z = bore, set Z = boss plunge depth." }),
+    ...startFields(),
+  ],
+
+  corner: (op) => [
+    { key: "X", type: "number", step: 0.001, label: "Corner X" },
+    { key: "Y", type: "number", step: 0.001, label: "Corner Y" },
+    { key: "I", type: "number", step: 0.001, label: "X Touch Offset (I)", optional: true, help: "Optional; distance along the Y face." },
+    { key: "J", type: "number", step: 0.001, label: "Y Touch Offset (J)", optional: true, help: "Optional; distance along the X face." },
+    ...inspectionFields(),
+    ...startFields(),
+  ],
+
+  "angle-measure": (op) => [
+    { key: "axis", type: "radio", label: "Axis", options: ["X", "Y"], help: "Axis the two touches are made along." },
+    { key: "distance", type: "number", label: "Surface Position", step: 0.001 },
+    { key: "D", type: "number", step: 0.001, label: "Touch Spacing (D)" },
+    { key: "A", type: "number", step: 0.001, label: "Nominal Angle (A)", unit: "deg" },
+    ...inspectionFields(),
+    ...startFields(),
+  ],
+
+  "fourth-axis": (op) => [
+    { key: "axis", type: "radio", label: "Axis", options: ["Y", "Z"] },
+    { key: "distance", type: "number", label: "Surface Position", step: 0.001 },
+    { key: "D", type: "number", step: 0.001, label: "Touch Spacing (D)" },
+    ...inspectionFields(),
+    ...startFields(),
+  ],
+};
+
+// Optional Inspection Plus letters; `help` overrides per-letter help text.
+const resultUnit = (op) => (op.params.result === "Angle" ? "deg" : "length");
+const resultOptions = () => Object.entries(PROBE_RESULTS).map(([k, r]) => ({ value: k, label: r.label }));
+
+function measuringCards(tree) {
+  const out = [];
+  walk(tree, (n) => { if (producesResults(n)) out.push({ node: n, number: cardNumber(n.id, tree) }); });
+  return out;
+}
+
+function inspectionFields(help = {}) {
+  const fields = {
+    Z: { label: "Z (plunge depth)", step: 0.001 },
+    S: { label: "S (work offset update)", step: 1 },
+    T: { label: "T (tool offset)", step: 1 },
+    E: { label: "E (experience value)", step: 1 },
+    H: { label: "H (size tolerance)", step: 0.001 },
+    M: { label: "M (position tolerance)", step: 0.001 },
+    R: { label: "R (radial clearance)", step: 0.001 },
+    Q: { label: "Q (overtravel)", step: 0.001 },
+  };
+  return INSPECTION_ARGS.map(k => ({ key: k, type: "number", optional: true, ...fields[k], help: help[k] || "Optional — left out when blank." }));
+}
+
+// Start point of a probe cycle for auto approach.
+function startFields(help = "Auto approach moves here before the cycle; blank X / Y = not planned.") {
+  return [
+    { key: "startX", type: "number", label: "Start X", step: 0.001, optional: true, help },
+    { key: "startY", type: "number", label: "Start Y", step: 0.001, optional: true },
+    { key: "startZ", type: "number", label: "Start Z", step: 0.001, optional: true, help: "Plunge height; blank: the cycle starts at the safe Z." },
+  ];
+}
+
+// Containers can switch auto approach on or off for everything inside them.
+const approachField = () => ({ key: "approach", type: "select", label: "Auto approach", options: [
+  { value: "", label: "Inherit" }, { value: "on", label: "On" }, { value: "off", label: "Off" },
+] });
+
+function toLabel(key) {
+  return String(key).replace(/([A-Z])/g, " $1").replace(/^./, s => s.toUpperCase());
+}
+
+// =================== Units ===================
+// A program is written in mm (G21) or inch (G20); the machine profile keeps
+// its own units and is scaled to the program's for emitting and checks.
+const UNITS = {
+  mm:   { id: "mm",   label: "mm",   code: "G21", perMm: 1,        decimals: 3, step: 0.001,  feedStep: 1 },
+  inch: { id: "inch", label: "inch", code: "G20", perMm: 1 / 25.4, decimals: 4, step: 0.0001, feedStep: 0.01 },
+};
+const unitsOf = (header) => (UNITS[header?.units] ? header.units : "mm");
+const unitScale = (from, to) => UNITS[unitsOf({ units: to })].perMm / UNITS[unitsOf({ units: from })].perMm;
+const roundTo = (v, decimals) => Number(Number(v).toFixed(decimals));
+
+// A metric constant (clearances, default feeds) in `units`.
+const fromMm = (mm, units) => roundTo(mm * unitScale("mm", units), UNITS[unitsOf({ units })].decimals);
+
+// "length" | "feed" | "deg" | null for a schema field.
+const fieldUnit = (f) => (f.type !== "number" ? null : f.unit !== undefined ? f.unit : f.key === "feed" ? "feed" : f.step === 0.001 ? "length" : null);
+
+// Input step for a number field in a program's units.
+function fieldStep(f, units) {
+  const u = UNITS[unitsOf({ units })];
+  return { length: u.step, feed: u.feedStep }[fieldUnit(f)] ?? f.step;
+}
+
+// Every length and feed in a tree rescaled to other units, rounded to what
+// the control takes. Expressions are left as typed and counted in `kept`.
+// Fields the card isn't showing (e.g. grid pitch in offsets mode) are left alone.
+function convertUnits(tree, from, to) {
+  const k = unitScale(from, to), decimals = UNITS[unitsOf({ units: to })].decimals;
+  let converted = 0, kept = 0;
+  const visit = (list) => list.map((n) => {
+    const params = { ...n.params };
+    for (const f of (UI_SCHEMAS[n.toolId]?.(n) || []).filter(f => ["length", "feed"].includes(fieldUnit(f)))) {
+      if (isBlank(params[f.key])) continue;
+      if (!isNumeric(params[f.key])) { kept++; continue; }
+      params[f.key] = roundTo(Number(params[f.key]) * k, decimals);
+      converted++;
+    }
+    return { ...n, params, ...(n.children ? { children: visit(n.children) } : {}) };
+  });
+  return { tree: visit(tree), converted, kept };
+}
+
+const PROFILE_SCALED = ["stylusLength", "stylusBall", "maxProbeFeed", "maxProtectedFeed", "safeZ",
+  "travelXMin", "travelXMax", "travelYMin", "travelYMax", "travelZMin", "travelZMax"];
+
+// The machine profile with its lengths and feeds in `units`.
+function profileIn(settings, units) {
+  const s = { ...DEFAULT_SETTINGS, ...settings };
+  const k = unitScale(s.units, units);
+  if (k === 1) return s;
+  const scale = (v) => (isNumeric(v) ? Math.round(Number(v) * k * 1e6) / 1e6 : v);
+  const offsets = Object.entries(s.workOffsets || {}).map(([key, o]) => [key, Object.fromEntries(Object.entries(o).map(([ax, v]) => [ax, scale(v)]))]);
+  return { ...s, ...Object.fromEntries(PROFILE_SCALED.map(key => [key, scale(s[key])])), workOffsets: Object.fromEntries(offsets), units };
+}
+
+// "inch" / "mm" from the first G20 / G21 in a program; null when it has neither.
+function gcodeUnits(text) {
+  const m = String(text).match(/^[^;(\n]*\bG2([01])\b/m);
+  return m ? (m[1] === "0" ? "inch" : "mm") : null;
+}
+
+// =================== Custom Tools ===================
+// Shop macros defined in the project rather than in TOOLS:
+//   { id, name, icon, category, desc, template,
+//     params: [{ key, label, type: number|text|select, unit: none|length|feed, options, default, optional }] }
+// Only number parameters declared a length or feed follow the program's units.
+// The template is G-code with {key} placeholders. A word whose placeholder is
+// blank is left out, and a line with no words left is dropped. A (comment) or
+// a ;comment counts as one word:
+//   G65 P9050 A{depth} B{feed} (PALLET {pallet})   →   G65 P9050 A5   when feed and pallet are blank
+// registerCustomTools swaps the project's set into TOOLS / UI_SCHEMAS.
+
+const CUSTOM_TOOL_PREFIX = "custom-";
+const CUSTOM_CATEGORIES = ["custom", "setup", "calibration", "toolset", "probe", "result", "report"];
+const CUSTOM_PARAM_TYPES = ["number", "text", "select"];
+const CUSTOM_PARAM_UNITS = ["none", "length", "feed"];
+const CUSTOM_TOOL_LIBRARY = "probe-builder-tools";
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Fills in a definition from the editor or a file; ids are kept once given.
+function normalizeCustomTool(def = {}) {
+  return {
+    id: String(def.id ?? "").startsWith(CUSTOM_TOOL_PREFIX) ? def.id : CUSTOM_TOOL_PREFIX + uid(),
+    name: String(def.name ?? "").trim() || "Custom Tool",
+    icon: String(def.icon ?? "").trim() || "🧩",
+    category: CUSTOM_CATEGORIES.includes(def.category) ? def.category : "custom",
+    desc: String(def.desc ?? ""),
+    template: String(def.template ?? ""),
+    params: (Array.isArray(def.params) ? def.params : []).map(p => ({
+      key: String(p?.key ?? "").trim(),
+      label: String(p?.label ?? ""),
+      type: CUSTOM_PARAM_TYPES.includes(p?.type) ? p.type : "number",
+      unit: CUSTOM_PARAM_UNITS.includes(p?.unit) ? p.unit : "none",
+      options: Array.isArray(p?.options) ? p.options.map(String).filter(Boolean) : [],
+      default: p?.default ?? "",
+      optional: !!p?.optional,
+    })),
+  };
+}
+
+// What stops a definition from being saved, as messages; [] when it is fine.
+function customToolErrors(def) {
+  const out = [];
+  if (!String(def.name ?? "").trim()) out.push("Give the tool a name.");
+  const keys = def.params.map(p => p.key);
+  keys.forEach((k, i) => {
+    if (!/^[A-Za-z_]\w*$/.test(k)) out.push(`Parameter ${i + 1}: "${k}" is not a valid key (letters, digits and _).`);
+    else if (keys.indexOf(k) !== i) out.push(`Parameter "${k}" is defined twice.`);
+  });
+  for (const p of def.params) if (p.type === "select" && !p.options.length) out.push(`Parameter "${p.key}" is a list with no options.`);
+  if (!def.template.trim()) out.push("The G-code template is empty.");
+  for (const [, k] of def.template.matchAll(PLACEHOLDER)) if (!keys.includes(k)) out.push(`{${k}} in the template is not a parameter.`);
+  def.template.split(/\r?\n/).forEach((line, i) => {
+    const code = line.replace(/;.*/, "");
+    if (/\([^)]*$/.test(code) || /^[^(]*\)/.test(code.replace(/\([^)]*\)/g, ""))) out.push(`Template line ${i + 1} has unbalanced parentheses.`);
+  });
+  return [...new Set(out)];
+}
+
+const TEMPLATE_WORD = /\([^)]*\)?|;.*|[^\s(;]+/g;  // (comment), ;comment or a plain word
+
+function fillTemplate(template, params) {
+  const blank = (w) => [...w.matchAll(PLACEHOLDER)].some(([, k]) => isBlank(params[k]));
+  return template.split(/\r?\n/).flatMap(line => {
+    if (!line.trim()) return [""];  // spacing the author put in stays
+    const words = (line.match(TEMPLATE_WORD) || []).filter(w => !blank(w));
+    return words.length ? [words.join(" ").replace(PLACEHOLDER, (m, k) => (k in params ? String(params[k]) : m))] : [];
+  });
+}
+
+function customToolDef(def) {
+  return {
+    id: def.id,
+    name: def.name,
+    icon: def.icon,
+    desc: def.desc || "Custom tool",
+    category: def.category,
+    custom: true,
+    template: def.template,
+    defaultParams: Object.fromEntries(def.params.map(p => [p.key,
+      p.type === "number" && isNumeric(p.default) ? Number(p.default)
+      : p.type === "select" && !p.optional && isBlank(p.default) ? p.options[0] ?? "" : p.default])),
+    summary(op) {
+      return fillTemplate(def.template, op.params).find(Boolean) || def.desc;
+    },
+    gcode(op) {
+      return [...fillTemplate(def.template, op.params), ``];
+    },
+  };
+}
+
+const customToolSchema = (def) => () => def.params.map(p => ({
+  key: p.key,
+  type: p.type,
+  label: p.label || p.key,
+  optional: p.optional,
+  ...(p.type === "number" ? { step: 0.001, unit: p.unit === "none" ? null : p.unit } : {}),
+  ...(p.type === "select" ? { options: [...(p.optional ? [{ value: "", label: "—" }] : []), ...p.options] } : {}),
+}));
+
+// Replaces the registered custom tools with `defs`.
+function registerCustomTools(defs = []) {
+  for (let i = TOOLS.length - 1; i >= 0; i--) {
+    if (!TOOLS[i].custom) continue;
+    delete TOOL_BY_ID[TOOLS[i].id];
+    delete UI_SCHEMAS[TOOLS[i].id];
+    TOOLS.splice(i, 1);
+  }
+  for (const def of defs.map(normalizeCustomTool)) {
+    if (TOOL_BY_ID[def.id]) continue;
+    const tool = customToolDef(def);
+    TOOLS.push(tool);
+    TOOL_BY_ID[tool.id] = tool;
+    UI_SCHEMAS[tool.id] = customToolSchema(def);
+  }
+}
+
+// Shared library file: custom tools only, to copy between projects.
+function customToolLibrary(defs) {
+  return { format: CUSTOM_TOOL_LIBRARY, version: 1, tools: defs.map(normalizeCustomTool) };
+}
+
+function readCustomToolLibrary(raw) {
+  if (raw?.format !== CUSTOM_TOOL_LIBRARY || !Array.isArray(raw.tools)) throw new Error("Not a Probe Builder tool library.");
+  return raw.tools.map(normalizeCustomTool);
+}
+
+// =================== Tree Utilities ===================
+function walk(list, fn, parent = null) {
+  for (const node of list) {
+    if (fn(node, parent) === true) return true;
+    if (Array.isArray(node.children) && walk(node.children, fn, node)) return true;
+  }
+  return false;
+}
+
+function findNode(id, list) {
+  let out = null;
+  walk(list, (n) => (n.id === id ? (out = n, true) : false));
+  return out;
+}
+
+// "2.1"-style number shown on the card's pill.
+function cardNumber(id, list, prefix = []) {
+  for (let i = 0; i < list.length; i++) {
+    const path = prefix.concat(i + 1);
+    if (list[i].id === id) return path.join(".");
+    const inner = list[i].children && cardNumber(id, list[i].children, path);
+    if (inner) return inner;
+  }
+  return null;
+}
+
+// Nearest node before `id` in program order that matches `pred`.
+function findPreceding(id, pred, list) {
+  let found = null;
+  walk(list, (n) => {
+    if (n.id === id) return true;
+    if (pred(n)) found = n;
+  });
+  return found;
+}
+
+function isDescendant(maybeAncestorId, id, list) {
+  const anc = findNode(maybeAncestorId, list);
+  let found = false;
+  walk(anc?.children || [], (n) => (n.id === id ? (found = true, true) : false));
+  return found;
+}
+
+function eachContainer(fn, list) {
+  for (const n of list) {
+    const def = TOOL_BY_ID[n.toolId];
+    if (def?.container) fn(n);
+    if (n.children) eachContainer(fn, n.children);
+  }
+}
+
+function makeNode(toolId, params = {}) {
+  const t = TOOL_BY_ID[toolId];
+  if (!t) return null;
+  return {
+    id: uid(),
+    toolId: t.id,
+    name: t.name,
+    icon: t.icon,
+    category: t.category,
+    description: t.desc,
+    params: { ...t.defaultParams, ...params },
+    ...(t.container ? { children: [] } : {}),
+  };
+}
+
+// =================== Project Migrations ===================
+// A .probe.json project holds the program library plus metadata and a schema version.
+// migrateProject upgrades anything older, step by step:
+//   1 — old_index.html / newer_index.html: { ops: [...] } with lowercase params
+//   2 — localStorage "renishaw_probe_builder_v2": { tree, collapsed, ... }
+//   3 — { format, schemaVersion, meta, controller, settings, tree }
+//   4 — tree replaced by programs[] ({ id, header, tree }) + activeProgramId
+//   5 — current: customTools[] (see Custom Tools); register them before emitting
+// Nodes whose toolId is not in TOOLS are kept untouched.
+
+const PROJECT_FORMAT = "probe-builder-project";
+const PROJECT_SCHEMA_VERSION = 5;
+
+function projectVersion(raw) {
+  if (raw?.format === PROJECT_FORMAT) return Number(raw.schemaVersion) || PROJECT_SCHEMA_VERSION;
+  if (Array.isArray(raw?.ops)) return 1;
+  if (Array.isArray(raw?.tree) || Array.isArray(raw)) return 2;
+  throw new Error("Not a Probe Builder project.");
+}
+
+function migrateProject(raw) {
+  let version = projectVersion(raw);
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(`Saved by a newer Probe Builder (schema ${version}; this build reads up to ${PROJECT_SCHEMA_VERSION}).`);
+  }
+  let p = Array.isArray(raw) ? { tree: raw } : raw;
+  for (; version < PROJECT_SCHEMA_VERSION; version++) p = MIGRATIONS[version](p);
+  const programs = (Array.isArray(p.programs) ? p.programs : []).map(pr => ({
+    id: typeof pr.id === "string" ? pr.id : uid(),
+    header: { ...DEFAULT_PROGRAM_HEADER, ...pr.header },
+    tree: normalizeTree(pr.tree || []),
+    variables: Array.isArray(pr.variables) ? pr.variables : [],
+  }));
+  return { ...p, programs, customTools: (Array.isArray(p.customTools) ? p.customTools : []).map(normalizeCustomTool) };
+}
+
+const MIGRATIONS = {
+  // prototype { ops } → v2 workspace
+  1: (p) => ({
+    tree: (p.ops || []).map(migrateLegacyNode),
+    collapsed: [],
+    expanded: [],
+    targetParentId: "root",
+    showGCode: !!p.showGCode,
+  }),
+  // v2 workspace → project; UI bits move under `ui`
+  2: (p) => ({
+    format: PROJECT_FORMAT,
+    schemaVersion: 3,
+    meta: { name: "Probe Routine" },
+    controller: p.controller || "haas",
+    settings: { ...DEFAULT_SETTINGS, ...p.settings },
+    tree: p.tree || [],
+    ui: {
+      collapsed: p.collapsed, expanded: p.expanded, targetParentId: p.targetParentId,
+      showGCode: p.showGCode, showPreview: p.showPreview, previewView: p.previewView,
+    },
+  }),
+  // one tree → a program library holding that tree
+  3: ({ tree, ...p }) => {
+    const program = makeProgram({ name: p.meta?.name || DEFAULT_PROGRAM_HEADER.name }, tree || []);
+    return { ...p, schemaVersion: 4, programs: [program], activeProgramId: program.id };
+  },
+  // shop macros travel with the project
+  4: (p) => ({ ...p, schemaVersion: 5, customTools: [] }),
+};
+
+// Prototype tools. Ones with a current equivalent are mapped; the rest become
+// raw-gcode carrying exactly what the prototype emitted (title kept).
+const LEGACY_TOOLS = {
+  folder: (p) => ["folder", { name: p.name ?? "New Section", note: p.description ?? "" }],
+  "set-work-offset": (p) => ["set-work-offset", { offset: p.offset, P: p.P }],
+  "tool-change": (p) => ["tool-change", { toolNumber: p.toolNumber, spindleSpeed: p.spindleSpeed, coolant: p.coolant }],
+  "rapid-move": (p) => ["rapid-move", { X: p.x, Y: p.y, Z: p.z }],
+  "safe-mode": (p) => ["safe-approach", { X: p.x, Y: p.y, Z: p.z, feed: p.feedRate }],
+  "single-point": (p) => ["safe-approach", { X: p.x, Y: p.y, Z: p.z, feed: p.feedRate }],
+  "probe-on": (p) => legacyRaw(`G43 H${p.offsetNumber} (Probe length offset)`, `G65 P9832 (Initialize probe system)`),
+  "corner-2pt": (p) => legacyRaw(`G65 P9814 X${p.x1} Y${p.y1} Z${p.z} F${p.feedRate}`, `G65 P9814 X${p.x2} Y${p.y2} Z${p.z} F${p.feedRate}`),
+  "bore-probe": (p) => legacyRaw(`G65 P9812 X${p.x} Y${p.y} Z${p.z} D${p.nominalDia} F${p.feedRate}`),
+  "boss-probe": (p) => legacyRaw(`G65 P9813 X${p.x} Y${p.y} Z${p.z} D${p.nominalDia} F${p.feedRate}`),
+  "pocket-probe": (p) => legacyRaw(`G65 P9815 X${p.x} Y${p.y} Z${p.z} A${p.width} B${p.height} F${p.feedRate}`),
+  "surface-probe": (p) => legacyRaw(`G65 P9811 X${p.x} Y${p.y} Z${p.z} A${p.length} F${p.feedRate}`),
+  "angle-probe": (p) => legacyRaw(`G65 P9816 X${p.x1} Y${p.y1} I${p.x2} J${p.y2} Z${p.z} F${p.feedRate}`),
+  "store-result": (p) => {
+    const src = { X: 10185, Y: 10186, Z: 10187, Size: 10188 }[p.result] ?? 10185;
+    return legacyRaw(`#${Number(p.varNumber) || 1}= #${src}`);
+  },
+};
+function legacyRaw(...lines) { return ["raw-gcode", { text: lines.join("\n") }]; }
+
+function migrateLegacyNode(op) {
+  const map = LEGACY_TOOLS[op.toolId];
+  if (!map) return { ...op, children: op.children?.map(migrateLegacyNode) };
+  const [toolId, params] = map(op.params || {});
+  const node = makeNode(toolId, params);
+  if (toolId === "raw-gcode") node.name = op.name || node.name;
+  if (op.id) node.id = op.id;
+  if (node.children) node.children = (op.children || []).map(migrateLegacyNode);
+  return node;
+}
+
+// Fills in what every node needs; unknown toolIds pass through as-is.
+function normalizeTree(list) {
+  return list.filter(n => n && typeof n === "object").map(n => {
+    const def = TOOL_BY_ID[n.toolId];
+    const out = { ...n, id: typeof n.id === "string" ? n.id : uid(), params: { ...def?.defaultParams, ...n.params } };
+    if (Array.isArray(n.children) || def?.container) out.children = normalizeTree(n.children || []);
+    return out;
+  });
+}
+
+// =================== G-code Emitter ===================
+const CMP_NEGATION = { EQ: "NE", NE: "EQ", GT: "LE", LE: "GT", LT: "GE", GE: "LT" };
+
+// One pass over the tree. Every context derived from the root shares a single
+// label allocator, so N numbers are unique across the whole program and skip
+// the numbers local subroutines use as their N label. `loopDepth`
+// counts enclosing WHILE loops only (folders/IFs don't count), so DO indices
+// follow real nesting and siblings reuse the same index.
+function createEmitContext({ dialect = CONTROLLERS.haas, labelStart = 1000, reservedLabels = [], subroutines = new Map(), variables = new Map(), captures = new Map(), tools = new Map(), header = null, approach = false, clearance = {} } = {}) {
+  const labels = { next: labelStart }, reserved = new Set(reservedLabels);
+  return {
+    dialect,
+    captures,                    // probe node id → [{ key, kind, address }] copied after it
+    tools,                       // tool-setting node id → tool loaded before it
+    header,                      // program header, for report titles
+    subroutines,                 // id → subroutine node, for call-subroutine
+    variables,                   // name → declared variable
+    approach,                    // auto approach on here (settings, then container overrides)
+    clearance,                   // { safeZ, feed } for the auto approach moves
+    loopDepth: 0,
+    nextLabel() {
+      while (reserved.has(labels.next)) labels.next++;
+      return labels.next++;
+    },
+    loopIndex() { return this.loopDepth + 1; },
+    inLoop() { return { ...this, loopDepth: this.loopDepth + 1 }; },
+  };
+}
+
+// An emitted line that remembers the card it came from. It joins, pads and
+// interpolates like a plain string, so tools return ordinary strings and
+// emitList tags whatever a child has not already claimed.
+function sourceLine(text, id, auto = false) {
+  const line = new String(text);
+  line.id = id;
+  if (auto) line.auto = true;  // inserted by the emitter, not written on a card
+  return line;
+}
+
+const tagLines = (lines, id) => lines.map(l => (typeof l === "string" ? sourceLine(l, id) : l));
+
+// One node id (or null) per text line of an emitted line list.
+const lineSources = (lines) => lines.flatMap(l => String(l).split("\n").map(() => l.id ?? null));
+
+// Indices of the text lines the emitter inserted on its own (auto approach).
+const insertedLines = (lines) => lines.flatMap(l => String(l).split("\n").map(() => !!l.auto)).flatMap((a, i) => (a ? [i] : []));
+
+// Emits a node's lines. Lines are relative to the node; containers indent
+// their children via emitChildren.
+function emitNode(node, ctx) {
+  const def = TOOL_BY_ID[node.toolId];
+  if (!def) return [ctx.dialect.comment(`Unknown node ${node.toolId}`), ...emitChildren(node, ctx, 1)];
+  // tools see expression fields already in word form
+  const exprs = exprFields(node).filter(f => f.type === "number");
+  const op = exprs.length ? { ...node, params: { ...node.params, ...Object.fromEntries(exprs.map(f => [f.key, exprWord(node.params[f.key], ctx)])) } } : node;
+  const raw = def.gcode ? def.gcode(op, ctx) : [];
+  const lines = Array.isArray(raw) ? raw : [raw];
+  if (exprs.length && lines.length) lines[0] = withVarNote(lines[0], ctx, ...exprs.map(f => node.params[f.key]));
+  return lines;
+}
+
+// Emits a sibling list; each node sees its neighbours (IF/ELSE pairing).
+function emitList(nodes, ctx) {
+  const out = [];
+  nodes.forEach((node, i) => {
+    const nodeCtx = { ...ctx, prevSibling: nodes[i - 1] || null, nextSibling: nodes[i + 1] || null };
+    const lines = emitNode(node, nodeCtx);
+    const cap = ctx.captures.get(node.id)?.filter(c => c.address !== null);
+    if (cap?.length) {
+      // keep results a later report line needs before the next cycle overwrites them
+      const at = String(lines[lines.length - 1]) === "" ? lines.length - 1 : lines.length;
+      lines.splice(at, 0, ...cap.map(c => `#${c.address}= #${PROBE_RESULTS[c.key][c.kind]} ${ctx.dialect.comment(`${PROBE_RESULTS[c.key].short}${c.kind === "error" ? "ERR" : ""} for report`)}`));
+    }
+    out.push(...approachMoves(node, nodeCtx), ...tagLines(lines, node.id));
+  });
+  return out;
+}
+
+// Report lines that name a specific probe card read copies of its results,
+// taken from common-range addresses no declaration or card uses. A copy that
+// finds no free address is planned with address null (validation reports it).
+function planCaptures(tree, variables = [], settings = DEFAULT_SETTINGS) {
+  const captures = new Map();
+  const taken = addressesInUse(tree, variables);
+  const sources = new Set();
+  walk(tree, (n) => { if (producesResults(n)) sources.add(n.id); });
+  walk(tree, (n) => {
+    if (n.toolId !== "report-line" || !sources.has(n.params.source)) return;
+    const list = captures.get(n.params.source) || [];
+    for (const key of n.params.values || []) {
+      for (const kind of reportKinds(n.params.value)) {
+        if (!PROBE_RESULTS[key] || list.some(c => c.key === key && c.kind === kind)) continue;
+        const address = allocateVarAddress("common", taken, settings);
+        if (address !== null) taken.push({ address });
+        list.push({ key, kind, address });
+      }
+    }
+    captures.set(n.params.source, list);
+  });
+  return captures;
+}
+
+// Tool in the spindle at each tool-setting node. Subroutines start unknown,
+// like validation assumes; a Measure All pass leaves its last tool loaded.
+function planTools(tree) {
+  const tools = new Map();
+  let tool = null;
+  const visit = (list) => list.forEach((n) => {
+    if (TOOL_BY_ID[n.toolId]?.category === "toolset") tools.set(n.id, tool);
+    if (n.toolId === "tool-change") tool = n.params.toolNumber;
+    if (n.toolId === "subroutine") {
+      const outer = tool;
+      tool = null;
+      visit(n.children || []);
+      tool = outer;
+    } else if (n.children) visit(n.children);
+    if (n.toolId === "ts-measure-all") tool = parseToolList(n.params.tools)?.at(-1) ?? tool;
+  });
+  visit(tree);
+  return tools;
+}
+
+function emitChildren(node, ctx, indent = 1) {
+  const pad = "  ".repeat(indent);
+  const inner = { ...ctx, approach: approachFor(node, ctx.approach) };
+  return emitList(node.children || [], inner).map(l => (String(l) ? sourceLine(pad + l, l.id, l.auto) : l));
+}
+
+// -------- Auto approach --------
+// With auto approach on, a probe card with a start point is preceded by
+// protected P9810 moves: retract to the safe Z, XY to the start point, then
+// plunge to its start Z. A Rapid Move or Safe Approach card directly before
+// it means the probe was placed by hand, so nothing is added.
+const approachFor = (node, inherited) => ({ on: true, off: false })[node.params?.approach] ?? inherited;
+
+const approachApplies = (node, ctx) => !!ctx.approach && "startX" in (TOOL_BY_ID[node.toolId]?.defaultParams || {})
+  && !["rapid-move", "safe-approach"].includes(ctx.prevSibling?.toolId);
+
+// { X, Y, Z } a probe card starts from, or null without X and Y. P9812 starts over its own X / Y.
+function probeStart(node) {
+  const p = node.params, centre = node.toolId === "web-pocket";
+  const X = isBlank(p.startX) && centre ? p.X : p.startX;
+  const Y = isBlank(p.startY) && centre ? p.Y : p.startY;
+  return isBlank(X) || isBlank(Y) ? null : { X, Y, Z: p.startZ };
+}
+
+function approachMoves(node, ctx) {
+  const start = approachApplies(node, ctx) && probeStart(node);
+  if (!start) return [];
+  const { safeZ, feed } = ctx.clearance;
+  const auto = (line) => sourceLine(line, node.id, true);
+  if (isBlank(safeZ)) return [auto(ctx.dialect.comment(`Auto approach: no safe Z set - skipped`))];
+  const word = (v) => (isNumeric(v) ? v : exprWord(v, ctx));
+  const move = (args) => auto(macroCall("P9810", { ...args, F: feed }, ctx.dialect));
+  return [move({ Z: safeZ }), move({ X: word(start.X), Y: word(start.Y) }), ...(isBlank(start.Z) ? [] : [move({ Z: word(start.Z) })])];
+}
+
+// -------- Subroutines --------
+function collectSubroutines(tree) {
+  const subs = [];
+  walk(tree, (n) => { if (n.toolId === "subroutine") subs.push(n); });
+  return subs;
+}
+
+const isLocalSub = (sub, dialect) => sub.params.mode === "local" && !!dialect.localSubCall;
+
+// Subprogram body; emitted from the root context so its loops start at DO1
+// and its labels don't collide with the main program's.
+function emitSubroutine(sub, ctx, head) {
+  return tagLines([head, ctx.dialect.comment(`Subroutine: ${sub.params.name}`), ...emitChildren(sub, ctx, 1), ctx.dialect.subEnd, ``], sub.id);
+}
+
+// Download name from the program header, e.g. O01000_1234-5_RevB.nc
+function programFileName(program, dialect) {
+  const h = program.header;
+  const parts = [isNumeric(h.number) ? dialect.programName(Number(h.number)) : "", h.partNumber || h.name, h.revision && `Rev${h.revision}`];
+  return `${parts.filter(Boolean).join("_").replace(/[^\w.-]+/g, "_") || "probe_routine"}.nc`;
+}
+
+// Main program first, then one entry per subroutine emitted as its own file.
+// `date` is the header's Date: text; pin it for reproducible output. Each
+// file's `sources` holds the id of the card behind every line of `text`
+// (null for the program header and footer); `inserted` lists the lines the
+// emitter added itself.
+function generateProgramFiles(dialect, program, settings = DEFAULT_SETTINGS, { date = new Date().toLocaleDateString() } = {}) {
+  const subs = collectSubroutines(program.tree);
+  const units = unitsOf(program.header), profile = profileIn(settings, units);
+  const round = (v) => (isNumeric(v) ? roundTo(v, UNITS[units].decimals) : v);
+  const ctx = createEmitContext({
+    dialect,
+    reservedLabels: subs.filter(n => isLocalSub(n, dialect)).map(n => Number(n.params.number)),
+    subroutines: new Map(subs.map(n => [n.id, n])),
+    variables: variableMap(program.variables),
+    captures: dialect.dprnt ? planCaptures(program.tree, program.variables, settings) : new Map(),
+    tools: planTools(program.tree),
+    header: program.header,
+    approach: !!settings.autoApproach,
+    clearance: { safeZ: round(profile.safeZ), feed: round(profile.maxProtectedFeed) },
+  });
+  const c = dialect.comment;
+  const h = program.header;
+  const hasNumber = isNumeric(h.number);
+  const header = [
+    hasNumber ? dialect.programName(Number(h.number)) : null,
+    c(`Renishaw Probe Routine - Generated by Probe Builder`),
+    c(`Program: ${[hasNumber ? dialect.programName(Number(h.number)) : "", h.name].filter(Boolean).join(" ")}`),
+    h.description ? c(`Description: ${h.description}`) : null,
+    h.partNumber || h.revision ? c(`Part: ${[h.partNumber, h.revision && `Rev ${h.revision}`].filter(Boolean).join(" ")}`) : null,
+    h.author ? c(`Author: ${h.author}`) : null,
+    c(`Controller: ${dialect.name}`),
+    c(`Date: ${date}`),
+    ``,
+    c(`Initialize program`),
+    ...dialect.init,
+    UNITS[units].code,
+    ``,
+  ].filter(l => l !== null);
+  const body = emitList(program.tree, ctx);
+  const footer = [
+    c(`End of probe routine`),
+    ...dialect.homeReturn,
+    `M30`,
+    ``,
+  ];
+  const local = subs.filter(n => isLocalSub(n, dialect)).flatMap(n => emitSubroutine(n, ctx, dialect.label(Number(n.params.number))));
+  const main = header.concat(body, footer, local);
+  const files = [{ name: programFileName(program, dialect), text: main.join("\n"), sources: lineSources(main), inserted: insertedLines(main) }];
+  for (const n of subs.filter(n => !isLocalSub(n, dialect))) {
+    const name = dialect.programName(Number(n.params.number));
+    const lines = emitSubroutine(n, ctx, name);
+    files.push({ name: `${name}.nc`, text: lines.join("\n"), sources: lineSources(lines), inserted: insertedLines(lines) });
+  }
+  return files;
+}
+
+function generateGCode(dialect, program, settings, options) {
+  return generateProgramFiles(dialect, program, settings, options)[0].text;
+}
+
+// Everything the download writes, as one listing (files separated by %).
+function generateListing(dialect, program, settings, options) {
+  return generateProgramFiles(dialect, program, settings, options).map(f => f.text).join("%\n");
+}
+
+// =================== Macro Expressions ===================
+// Small recursive-descent parser for Fanuc/Haas macro B expressions:
+//   #100, #[#1 + 2], [#5021 - 2.5] * 2, SIN[30], ATAN[#1]/[#2], #100 GT 3 AND #101 LT 1
+// Produces an AST; errors are thrown as Error with a readable message.
+
+const MACRO_FUNCS = ["SIN", "COS", "TAN", "ASIN", "ACOS", "ATAN", "SQRT", "ABS", "ROUND", "FIX", "FUP", "LN", "EXP", "BIN", "BCD"];
+const MACRO_CMP   = ["EQ", "NE", "GT", "GE", "LT", "LE"];
+const MACRO_KEYWORDS = new Set([...MACRO_FUNCS, ...MACRO_CMP, "AND", "OR", "XOR", "MOD"]);
+
+function tokenizeMacro(text) {
+  const toks = [];
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let m;
+    if (/^\s/.test(rest)) { i++; continue; }
+    if ((m = rest.match(/^(\d+\.?\d*|\.\d+)/))) { toks.push({ t: "num", v: parseFloat(m[1]) }); i += m[1].length; continue; }
+    if ((m = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/))) {
+      const up = m[0].toUpperCase();
+      toks.push(MACRO_KEYWORDS.has(up) ? { t: "kw", v: up } : { t: "name", v: m[0], pos: i });
+      i += m[0].length;
+      continue;
+    }
+    if ("#[]+-*/".includes(rest[0])) { toks.push({ t: rest[0] }); i++; continue; }
+    throw new Error(`Unexpected "${rest[0]}"`);
+  }
+  return toks;
+}
+
+function parseMacroExpr(text) {
+  const toks = tokenizeMacro(String(text ?? ""));
+  if (!toks.length) throw new Error("Empty expression");
+  let i = 0;
+  const peek = () => toks[i];
+  const isKw = (...kws) => peek()?.t === "kw" && kws.includes(peek().v);
+  const expect = (t) => {
+    if (peek()?.t !== t) throw new Error(peek() ? `Expected "${t}"` : `Missing "${t}"`);
+    return toks[i++];
+  };
+
+  const binary = (next, match) => () => {
+    let left = next();
+    for (let op; (op = match()); ) { i++; left = { type: "bin", op, left, right: next() }; }
+    return left;
+  };
+  const unary = () => {
+    if (peek()?.t === "-") { i++; return { type: "neg", arg: unary() }; }
+    if (peek()?.t === "+") { i++; return unary(); }
+    return primary();
+  };
+  const mul = binary(unary, () => (["*", "/"].includes(peek()?.t) ? peek().t : isKw("MOD") ? "MOD" : null));
+  const add = binary(mul, () => (["+", "-"].includes(peek()?.t) ? peek().t : null));
+  const cmp = () => {
+    const left = add();
+    if (!isKw(...MACRO_CMP)) return left;
+    const op = toks[i++].v;
+    return { type: "bin", op, left, right: add() };
+  };
+  const and = binary(cmp, () => (isKw("AND") ? "AND" : null));
+  const or  = binary(and, () => (isKw("OR", "XOR") ? peek().v : null));
+
+  function bracket() {
+    expect("[");
+    const e = or();
+    expect("]");
+    return e;
+  }
+  function primary() {
+    const tk = peek();
+    if (!tk) throw new Error("Unexpected end of expression");
+    if (tk.t === "num") { i++; return { type: "num", value: tk.v }; }
+    if (tk.t === "#") {
+      i++;
+      const nx = peek();
+      if (nx?.t === "num" && Number.isInteger(nx.v)) { i++; return { type: "var", index: { type: "num", value: nx.v } }; }
+      if (nx?.t === "[" || nx?.t === "#") return { type: "var", index: nx.t === "[" ? bracket() : primary() };
+      throw new Error("Expected variable number after #");
+    }
+    if (tk.t === "[") return bracket();
+    if (tk.t === "kw" && MACRO_FUNCS.includes(tk.v)) {
+      i++;
+      const args = [bracket()];
+      // ATAN[y]/[x] is the two-argument form
+      if (tk.v === "ATAN" && peek()?.t === "/" && toks[i + 1]?.t === "[") { i++; args.push(bracket()); }
+      return { type: "call", fn: tk.v, args };
+    }
+    if (tk.t === "name") { i++; return { type: "name", name: tk.v }; }
+    throw new Error(`Unexpected "${tk.v ?? tk.t}"`);
+  }
+
+  const ast = or();
+  if (i < toks.length) throw new Error(`Unexpected "${toks[i].v ?? toks[i].t}"`);
+  return ast;
+}
+
+// Names (non-# identifiers) referenced by an expression AST.
+function macroExprNames(ast, out = new Set()) {
+  if (!ast) return out;
+  if (ast.type === "name") out.add(ast.name);
+  for (const k of ["index", "arg", "left", "right"]) macroExprNames(ast[k], out);
+  for (const a of ast.args || []) macroExprNames(a, out);
+  return out;
+}
+
+// Error message for an invalid expression, or null.
+function checkMacroExpr(text, knownNames = new Set()) {
+  try {
+    const ast = parseMacroExpr(text);
+    const unknown = [...macroExprNames(ast)].filter(n => !knownNames.has(n));
+    return unknown.length ? `Unknown name "${unknown[0]}"` : null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// =================== Named Variables ===================
+// Programs declare names ({ id, name, kind: common|retained, address }) that
+// expressions may use instead of #n. The emitter swaps in the address and adds
+// a trailing comment with the name.
+
+const INSPECTION_RESULT_VARS = [135, 149];  // overwritten by every Inspection Plus cycle
+const isInspectionVar = (n) => n >= INSPECTION_RESULT_VARS[0] && n <= INSPECTION_RESULT_VARS[1];
+
+// "100-199" → [100, 199]
+function parseVarRange(text) {
+  const m = String(text ?? "").match(/^\s*#?(\d+)\s*[-–]\s*#?(\d+)\s*$/);
+  return m && Number(m[1]) <= Number(m[2]) ? [Number(m[1]), Number(m[2])] : null;
+}
+
+// Lowest free address in the kind's range, skipping the Inspection Plus block.
+function allocateVarAddress(kind, variables, settings = DEFAULT_SETTINGS) {
+  const range = parseVarRange(kind === "retained" ? settings.varRangeRetained : settings.varRangeCommon);
+  if (!range) return null;
+  const used = new Set(variables.map(v => Number(v.address)));
+  for (let n = range[0]; n <= range[1]; n++) if (!used.has(n) && !isInspectionVar(n)) return n;
+  return null;
+}
+
+// Every #n written on a card (expressions, targets, loop counters, custom templates).
+function referencedAddresses(tree) {
+  const used = new Set();
+  walk(tree, (n) => {
+    const texts = [...Object.values(n.params || {}), TOOL_BY_ID[n.toolId]?.template];
+    for (const t of texts) for (const [, a] of String(t ?? "").matchAll(/#(\d+)/g)) used.add(Number(a));
+  });
+  return used;
+}
+
+// Declarations plus every #n on a card, in the shape allocateVarAddress takes.
+const addressesInUse = (tree, variables = []) => [...variables, ...[...referencedAddresses(tree)].map(address => ({ address }))];
+
+const variableMap = (variables = []) => new Map(variables.filter(v => v.name).map(v => [v.name, v]));
+
+// Problems with one declaration; validateTree files them under the variable's id.
+function variableIssues(v, variables) {
+  const out = [];
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(v.name) || MACRO_KEYWORDS.has(String(v.name).toUpperCase())) out.push({ level: "error", msg: "Not a usable name." });
+  if (variables.some(x => x !== v && x.name === v.name)) out.push({ level: "error", msg: "Name used twice." });
+  const shared = variables.filter(x => x !== v && Number(x.address) === Number(v.address));
+  if (shared.length) out.push({ level: "error", msg: `#${v.address} is also ${shared.map(x => x.name).join(", ")}.` });
+  if (isInspectionVar(Number(v.address))) out.push({ level: "warning", msg: `#${v.address} is an Inspection Plus result variable.` });
+  return out;
+}
+
+// Each declared name in `text` → `fn(token, variable)`; the rest stays as typed.
+function mapMacroNames(text, variables, fn) {
+  const src = String(text ?? "");
+  let toks;
+  try { toks = tokenizeMacro(src); } catch { return src; }
+  let out = "", at = 0;
+  for (const tk of toks) {
+    const v = tk.t === "name" && variables.get(tk.v);
+    if (!v) continue;
+    out += src.slice(at, tk.pos) + fn(tk.v, v);
+    at = tk.pos + tk.v.length;
+  }
+  return out + src.slice(at);
+}
+
+function usedVarNames(text, variables) {
+  const names = [];
+  mapMacroNames(text, variables, (name) => { if (!names.includes(name)) names.push(name); return name; });
+  return names;
+}
+
+const resolveVars = (text, ctx) => mapMacroNames(text, ctx.variables, (_, v) => `#${v.address}`);
+
+// An expression in a number field as one word value: a single term (#100,
+// -#137, [#5021 + 2.5]) goes out as typed, anything else is bracketed.
+function exprWord(text, ctx) {
+  const s = resolveVars(String(text).trim(), ctx);
+  return readWordValue(s) === s ? s : `[${s}]`;
+}
+
+function withVarNote(line, ctx, ...exprs) {
+  const names = [...new Set(exprs.flatMap(e => usedVarNames(e, ctx.variables)))];
+  return names.length ? `${line} ${ctx.dialect.comment(names.join(", "))}` : line;
+}
+
+// =================== Validation ===================
+// Rules run over the tree in program order on every render. Each rule returns
+// issues { level: "error" | "warning", msg, field? } for one node; `vctx`
+// carries what is known at that point (loaded tool, WHILE depth, settings).
+
+const isNumeric = (v) => typeof v === "number" ? Number.isFinite(v) : (!isBlank(v) && Number.isFinite(Number(v)));
+
+// A number field holding something other than a number holds an expression.
+const numberExpr = (f, node) => f.type === "number" && !f.literal && !isBlank(node.params?.[f.key]) && !isNumeric(node.params[f.key]);
+
+// expr: macro expression (checked, names resolved); varRef: a single variable
+const exprFields = (node) => (UI_SCHEMAS[node.toolId]?.(node) || []).filter(f => f.expr || numberExpr(f, node));
+const varFields  = (node) => (UI_SCHEMAS[node.toolId]?.(node) || []).filter(f => f.expr || f.varRef || numberExpr(f, node));
+
+// -------- Machine envelope --------
+// Validation follows where the probe is in work coordinates (null = unknown:
+// program start, after a tool change or a call) and which work offset is
+// active (G54 until a Work Offset card says otherwise).
+const AXES = ["X", "Y", "Z"];
+const UNKNOWN_POS = { X: null, Y: null, Z: null };
+const workOffsetKey = (p) => (p.offset === "G154" ? `G154 P${p.P}` : p.offset);
+
+// Blank keeps the axis where it was; an expression makes it unknown.
+const axisValue = (v) => (isBlank(v) ? undefined : isNumeric(v) ? Number(v) : null);
+
+// Points a card sends the probe to, work coordinates; [] for cards that don't move.
+function motionPoints(node, pos) {
+  const p = node.params || {};
+  const at = (axes) => ({ ...pos, ...Object.fromEntries(Object.entries(axes).filter(([, v]) => v !== undefined)) });
+  const around = (c, dx, dy) => (c.X === null || c.Y === null || dx === null || dy === null ? [c]
+    : [at({ ...c, X: c.X - dx }), at({ ...c, X: c.X + dx }), at({ ...c, Y: c.Y - dy }), at({ ...c, Y: c.Y + dy })]);
+  const half = (v) => (isNumeric(v) ? Number(v) / 2 : null);
+  switch (node.toolId) {
+    case "rapid-move":
+    case "safe-approach":
+    case "corner":
+      return [at({ X: axisValue(p.X), Y: axisValue(p.Y), Z: node.toolId === "corner" ? undefined : axisValue(p.Z) })];
+    case "single-touch-axis":
+      return [at({ [String(p.axis || "X").toUpperCase()]: axisValue(p.distance) })];
+    case "web-pocket": {
+      const c = at({ X: axisValue(p.X), Y: axisValue(p.Y), Z: axisValue(p.Z) });
+      return around(c, half(p.W), half(p.L));
+    }
+    case "bore-boss":
+    case "three-point-bore":
+    case "calib-xy":
+    case "calib-radius":
+    case "calib-vector":
+      return around(at({}), half(p.D), half(p.D));
+    default:
+      return [];
+  }
+}
+
+// Where the probe is after a card, and which offset is active. Positions are
+// followed in card order; IF branches and loops are not told apart.
+function trackMotion(node, vctx) {
+  if (node.toolId === "set-work-offset") vctx.workOffset = workOffsetKey(node.params);
+  else if (["tool-change", "call-subroutine"].includes(node.toolId) || TOOL_BY_ID[node.toolId]?.category === "toolset") vctx.pos = UNKNOWN_POS;
+  // measuring cycles return to where they started
+  else if (["rapid-move", "safe-approach"].includes(node.toolId)) vctx.pos = motionPoints(node, vctx.pos)[0];
+}
+
+const probeIsLoaded = (vctx) => isBlank(vctx.settings.probeTool) || String(vctx.tool) === String(vctx.settings.probeTool);
+
+const VALIDATION_RULES = [
+  {
+    id: "unknown-tool",
+    check(node) {
+      if (TOOL_BY_ID[node.toolId]) return [];
+      if (String(node.toolId).startsWith(CUSTOM_TOOL_PREFIX)) {
+        return [{ level: "error", msg: "The custom tool behind this card was deleted; its shop macro is not emitted." }];
+      }
+      return [{ level: "warning", msg: `Unknown tool "${node.toolId}" — kept in the project; only its children are emitted.` }];
+    },
+  },
+  {
+    id: "number-fields",
+    check(node) {
+      const schema = UI_SCHEMAS[node.toolId];
+      if (!schema) return [];
+      return schema(node)
+        .filter(f => {
+          const v = node.params?.[f.key];
+          return f.type === "number" && !isNumeric(v) && (isBlank(v) ? !f.optional : f.literal);
+        })
+        .map(f => ({ level: "error", field: f.key, msg: `${f.label || toLabel(f.key)} needs a number.` }));
+    },
+  },
+  {
+    id: "custom-fields",
+    check(node) {
+      if (!TOOL_BY_ID[node.toolId]?.custom) return [];
+      return UI_SCHEMAS[node.toolId](node)
+        .filter(f => f.type !== "number" && !f.optional && isBlank(node.params?.[f.key]))
+        .map(f => ({ level: "error", field: f.key, msg: `${f.label} is required.` }));
+    },
+  },
+  {
+    id: "expr-fields",
+    check(node, vctx) {
+      const names = new Set(vctx.variables.keys());
+      return exprFields(node).flatMap(f => {
+        const err = checkMacroExpr(node.params[f.key], names);
+        return err ? [{ level: "error", field: f.key, msg: `${f.label || toLabel(f.key)}: ${err}.` }] : [];
+      });
+    },
+  },
+  {
+    id: "assign-target",
+    tools: ["assign-var", "store-result"],
+    check(node, vctx) {
+      const t = String(node.params.target ?? "").trim();
+      if (vctx.variables.has(t) || /^#\d+$/.test(t)) return [];
+      return [{ level: "error", field: "target", msg: t ? `"${t}" is not a declared variable or #address.` : "Choose a variable to assign." }];
+    },
+  },
+  {
+    id: "read-before-assign",
+    check(node, vctx) {
+      if (vctx.inSubroutine) return [];  // the caller may have set it
+      const names = [...new Set(exprFields(node).flatMap(f => usedVarNames(node.params[f.key], vctx.variables)))];
+      // retained (#500+) values survive from the previous run, so reading them first is normal
+      return names
+        .filter(n => vctx.variables.get(n).kind !== "retained" && !vctx.assigned.has(n))
+        .map(n => ({ level: "warning", msg: `${n} is read before it is assigned.` }));
+    },
+  },
+  {
+    id: "variable-declaration",
+    check(node, vctx) {
+      const names = [...new Set(varFields(node).flatMap(f => usedVarNames(node.params[f.key], vctx.variables)))];
+      return names.flatMap((n) => {
+        const v = vctx.variables.get(n);
+        if (vctx.declared.filter(x => x.name === n).length > 1) return [{ level: "error", msg: `${n} is declared twice.` }];
+        const other = vctx.declared.find(x => x !== v && Number(x.address) === Number(v.address));
+        return other ? [{ level: "error", msg: `${n} shares #${v.address} with ${other.name}.` }] : [];
+      });
+    },
+  },
+  {
+    id: "inspection-vars",
+    check(node, vctx) {
+      const hit = varFields(node).flatMap(f => usedVarNames(node.params[f.key], vctx.variables))
+        .map(n => vctx.variables.get(n))
+        .filter(v => isInspectionVar(Number(v.address)));
+      const t = String(node.params.target ?? "").match(/^#(\d+)$/);
+      const out = [...new Set(hit)].map(v => ({ level: "warning", msg: `${v.name} is #${v.address}, which Inspection Plus cycles overwrite (#135–#149).` }));
+      if (node.toolId === "assign-var" && t && isInspectionVar(Number(t[1]))) {
+        out.push({ level: "warning", field: "target", msg: `#${t[1]} is overwritten by the next Inspection Plus cycle.` });
+      }
+      return out;
+    },
+  },
+  {
+    id: "web-pocket-size",
+    tools: ["web-pocket"],
+    check(node) {
+      const p = node.params;
+      const out = ["W", "L"].filter(k => isNumeric(p[k]) && Number(p[k]) <= 0)
+        .map(k => ({ level: "error", field: k, msg: `${k} must be greater than 0.` }));
+      if (p.mode === "pocket" && isBlank(p.Z)) out.push({ level: "error", field: "Z", msg: "Pocket mode needs a Z depth." });
+      return out;
+    },
+  },
+  {
+    id: "work-offset-range",
+    tools: ["set-work-offset"],
+    check(node) {
+      const { offset, P } = node.params;
+      const n = Number(P);
+      if (offset !== "G154" || (Number.isInteger(n) && n >= 1 && n <= 99)) return [];
+      return [{ level: "error", field: "P", msg: `G154 P${P} is outside P1–P99.` }];
+    },
+  },
+  {
+    id: "feed-limits",
+    tools: ["single-touch-axis", "web-pocket", "safe-approach"],
+    check(node, vctx) {
+      const feed = Number(node.params.feed);
+      const isProtected = node.toolId === "safe-approach";
+      const limit = Number(isProtected ? vctx.settings.maxProtectedFeed : vctx.settings.maxProbeFeed);
+      if (!isNumeric(node.params.feed) || !limit || feed <= limit) return [];
+      return [{ level: "error", field: "feed", msg: `F${feed} exceeds the ${isProtected ? "protected-move" : "probing"} limit of F${limit}.` }];
+    },
+  },
+  {
+    id: "travel-envelope",
+    check(node, vctx) {
+      const s = vctx.settings;
+      const off = s.workOffsets?.[vctx.workOffset];
+      const points = off ? motionPoints(node, vctx.pos) : [];
+      if (!points.length) return [];
+      // the spindle gauge line sits a probe length above the ball
+      const length = probeIsLoaded(vctx) && isNumeric(s.stylusLength) ? Number(s.stylusLength) : 0;
+      return AXES.flatMap(ax => {
+        const [min, max] = [s[`travel${ax}Min`], s[`travel${ax}Max`]].map(v => (isNumeric(v) ? Number(v) : null));
+        if (!isNumeric(off[ax]) || (min === null && max === null)) return [];
+        let worst = null;
+        const shift = ax === "Z" ? 0 : vctx.shift[ax === "X" ? 0 : 1];
+        for (const pt of points) {
+          if (pt[ax] === null) continue;
+          const m = pt[ax] + shift + Number(off[ax]) + (ax === "Z" ? length : 0);
+          const [over, limit] = min !== null && m < min ? [min - m, min] : max !== null && m > max ? [m - max, max] : [0, null];
+          if (over > 0 && (!worst || over > worst.over)) worst = { over, work: pt[ax], m, limit };
+        }
+        if (!worst) return [];
+        const round = (v) => Math.round(v * 1000) / 1000;
+        const field = node.toolId === "single-touch-axis" ? "distance" : ax in (node.params || {}) ? ax : undefined;
+        return [{
+          level: "error", field,
+          msg: `${ax}${round(worst.work)} in ${vctx.workOffset}${vctx.shift[0] || vctx.shift[1] ? ` shifted X${vctx.shift[0]} Y${vctx.shift[1]}` : ""} reaches machine ${ax}${round(worst.m)}, past the ${ax} travel limit of ${worst.limit}.`,
+        }];
+      });
+    },
+  },
+  {
+    id: "safe-retract",
+    tools: ["rapid-move"],
+    check(node, vctx) {
+      const safe = vctx.settings.safeZ;
+      const from = vctx.pos, [to] = motionPoints(node, from);
+      if (!isNumeric(safe) || from.Z === null || to.Z === null) return [];
+      if (!["X", "Y"].some(a => to[a] !== from[a])) return [];
+      const low = Math.min(from.Z, to.Z);
+      if (low >= Number(safe)) return [];
+      return [{ level: "warning", msg: `Rapid XY move at Z${low}, below the safe retract Z${safe}. Retract first or use a protected move (P9810).` }];
+    },
+  },
+  {
+    id: "auto-approach",
+    check(node, vctx) {
+      if (!approachApplies(node, vctx)) return [];
+      if (!probeStart(node)) return [{ level: "warning", field: "startX", msg: "No start X / Y; auto approach leaves the probe where it is." }];
+      if (isBlank(vctx.settings.safeZ)) return [{ level: "warning", msg: "Auto approach needs the safe retract Z from the machine profile; nothing inserted." }];
+      return [];
+    },
+  },
+  {
+    id: "stylus-fit",
+    tools: ["bore-boss", "three-point-bore", "web-pocket", "calib-xy", "calib-radius", "calib-vector"],
+    check(node, vctx) {
+      const ball = vctx.settings.stylusBall;
+      if (!isNumeric(ball)) return [];
+      const p = node.params;
+      // bosses and webs are measured from outside, so only internal features can be too small
+      const internal = node.toolId === "web-pocket"
+        ? (p.mode === "pocket" || (p.mode === "auto" && !isBlank(p.Z))) ? ["W", "L"] : []
+        : node.toolId.startsWith("calib-") || isBlank(p.Z) ? ["D"] : [];
+      return internal
+        .filter(k => isNumeric(p[k]) && Number(p[k]) <= Number(ball))
+        .map(k => ({ level: "error", field: k, msg: `${k}${p[k]} is no bigger than the Ø${ball} stylus ball.` }));
+    },
+  },
+  {
+    id: "probe-loaded",
+    check(node, vctx) {
+      if (!["probe", "calibration"].includes(TOOL_BY_ID[node.toolId]?.category)) return [];
+      const want = vctx.settings.probeTool;
+      if (vctx.tool === null) return vctx.inSubroutine ? [] : [{ level: "warning", msg: "No tool change before this probe cycle." }];
+      if (!isBlank(want) && String(vctx.tool) !== String(want)) {
+        return [{ level: "error", msg: `T${vctx.tool} is loaded, not the probe (T${want}).` }];
+      }
+      return [];
+    },
+  },
+  {
+    id: "else-placement",
+    tools: ["else-block"],
+    check(node, vctx) {
+      if (vctx.prevSibling?.toolId === "if-block") return [];
+      return [{ level: "error", msg: "ELSE must directly follow an IF block." }];
+    },
+  },
+  {
+    id: "subroutine-number",
+    tools: ["subroutine"],
+    check(node, vctx) {
+      const out = [];
+      const n = Number(node.params.number);
+      if (isNumeric(node.params.number) && vctx.subroutines.some(s => s !== node && Number(s.params.number) === n)) {
+        out.push({ level: "error", field: "number", msg: `Another subroutine already uses number ${n}.` });
+      } else if (isNumeric(node.params.number) && !isLocalSub(node, vctx.dialect) && isNumeric(vctx.programNumber) && Number(vctx.programNumber) === n) {
+        out.push({ level: "error", field: "number", msg: `O${n} is this program's own number; the subprogram file needs another.` });
+      }
+      if (node.params.mode === "local" && !vctx.dialect.localSubCall) {
+        out.push({ level: "warning", field: "mode", msg: `${vctx.dialect.name} has no local subprograms; emitted as a separate M98 file.` });
+      }
+      return out;
+    },
+  },
+  {
+    id: "subroutine-call",
+    tools: ["call-subroutine"],
+    check(node, vctx) {
+      const sub = vctx.subroutines.find(s => s.id === node.params.target);
+      if (!sub) {
+        return [{ level: "error", field: "target", msg: node.params.target ? "The called subroutine no longer exists." : "Choose a subroutine to call." }];
+      }
+      const out = [];
+      if (walk(sub.children || [], (n) => n.id === node.id)) {
+        out.push({ level: "error", field: "target", msg: `${sub.params.name} calls itself.` });
+      }
+      const L = Number(node.params.L);
+      if (isNumeric(node.params.L) && (!Number.isInteger(L) || L < 1)) {
+        out.push({ level: "error", field: "L", msg: "L must be a whole number of at least 1." });
+      }
+      return out;
+    },
+  },
+  {
+    id: "result-source",
+    tools: ["check-tolerance", "alarm-position", "adjust-wear", "store-result"],
+    check(node, vctx) {
+      const src = vctx.lastProbe;
+      if (!src) return [{ level: "error", msg: "No measuring cycle above this to take results from." }];
+      const made = TOOL_BY_ID[src.toolId].results(src.params);
+      const wanted = node.toolId === "alarm-position"
+        ? (node.params.check === "TP" ? [] : node.params.check.split(""))
+        : [node.params.result];
+      const missing = wanted.filter(k => !made.includes(k));
+      return missing.length
+        ? [{ level: "warning", field: node.toolId === "alarm-position" ? "check" : "result", msg: `${src.name} doesn't measure ${missing.join(", ")}.` }]
+        : [];
+    },
+  },
+  {
+    id: "result-flag",
+    tools: ["check-tolerance"],
+    check(node, vctx) {
+      const f = String(node.params.flag ?? "").trim();
+      if (node.params.action !== "flag" || vctx.variables.has(f) || /^#\d+$/.test(f)) return [];
+      return [{ level: "error", field: "flag", msg: f ? `"${f}" is not a declared variable or #address.` : "Choose a flag variable." }];
+    },
+  },
+  {
+    id: "alarm-message",
+    tools: ["check-tolerance", "alarm-position"],
+    check(node) {
+      const msg = alarmText(node.params.message);
+      if (node.params.action === "flag" || msg.length <= ALARM_TEXT_MAX) return [];
+      return [{ level: "warning", field: "message", msg: `Message is ${msg.length} characters; Fanuc shows ${ALARM_TEXT_MAX}.` }];
+    },
+  },
+  {
+    id: "report-line",
+    tools: ["report-line"],
+    check(node, vctx) {
+      const p = node.params;
+      const out = [];
+      if (!(p.values || []).length) out.push({ level: "error", field: "values", msg: "Choose at least one result to log." });
+      if (!vctx.reportOpen) out.push({ level: "warning", msg: "No Open Report above; DPRNT output goes nowhere." });
+      const src = p.source ? vctx.sources.get(p.source) : vctx.lastProbe;
+      if (!src) {
+        out.push({ level: "error", field: "source", msg: p.source ? "The referenced probe card no longer exists." : "No probe cycle above to report." });
+        return out;
+      }
+      if (p.source && !vctx.seen.has(src.id)) out.push({ level: "error", field: "source", msg: `${src.name} runs after this line.` });
+      const made = TOOL_BY_ID[src.toolId].results(src.params);
+      const missing = (p.values || []).filter(k => !made.includes(k));
+      if (missing.length) out.push({ level: "warning", field: "values", msg: `${src.name} doesn't measure ${missing.join(", ")}.` });
+      const lost = (vctx.captures.get(p.source) || []).filter(c => c.address === null && (p.values || []).includes(c.key));
+      if (lost.length) {
+        out.push({ level: "error", msg: `No free address left in the common range (${vctx.settings.varRangeCommon}) to keep ${[...new Set(lost.map(c => PROBE_RESULTS[c.key].short))].join(", ")} for this line.` });
+      }
+      return out;
+    },
+  },
+  {
+    id: "report-dialect",
+    tools: ["report-open", "report-line", "report-close"],
+    check(node, vctx) {
+      if (vctx.dialect.dprnt) return [];
+      return [{ level: "warning", msg: `${vctx.dialect.name} has no DPRNT; report lines are emitted as comments.` }];
+    },
+  },
+  {
+    id: "tool-setter-tool",
+    tools: ["ts-length", "ts-radius", "ts-broken"],
+    check(node, vctx) {
+      if (vctx.tool === null && vctx.inSubroutine) {
+        return isBlank(node.params.offset) ? [{ level: "error", field: "offset", msg: "Set the offset register; the caller's tool isn't known here." }] : [];
+      }
+      if (vctx.tool === null) return [{ level: "error", msg: "No tool change before this tool-setting cycle." }];
+      if (!isBlank(vctx.settings.probeTool) && String(vctx.tool) === String(vctx.settings.probeTool)) {
+        return [{ level: "warning", msg: `T${vctx.tool} is the spindle probe; set it with the calibration cycles.` }];
+      }
+      return [];
+    },
+  },
+  {
+    id: "tool-setter-radius",
+    tools: ["ts-radius"],
+    check(node) {
+      if (!isNumeric(node.params.D) || Number(node.params.D) > 0) return [];
+      return [{ level: "error", field: "D", msg: "Tool diameter must be greater than 0." }];
+    },
+  },
+  {
+    id: "measure-all-tools",
+    tools: ["ts-measure-all"],
+    check(node, vctx) {
+      const tools = parseToolList(node.params.tools);
+      if (!tools) return [{ level: "error", field: "tools", msg: "List tool numbers like 1, 2, 5-8." }];
+      const out = [];
+      if (!node.children?.length) out.push({ level: "warning", msg: "Add the cycles to run for each tool." });
+      if (tools.some(t => String(t) === String(vctx.settings.probeTool))) {
+        out.push({ level: "warning", field: "tools", msg: `The list includes the spindle probe (T${vctx.settings.probeTool}).` });
+      }
+      return out;
+    },
+  },
+  {
+    id: "calibration-ring",
+    tools: ["calib-xy", "calib-radius", "calib-vector"],
+    check(node) {
+      if (!isNumeric(node.params.D) || Number(node.params.D) > 0) return [];
+      return [{ level: "error", field: "D", msg: "Ring gauge diameter must be greater than 0." }];
+    },
+  },
+  {
+    id: "loop-counter",
+    tools: ["while-block", "pattern"],
+    check(node, vctx) {
+      const address = loopCounter(node, vctx.dialect, vctx.variables);
+      if (address === null) return [];
+      const field = node.toolId === "pattern" ? "counter" : "left";
+      const out = [];
+      const outer = vctx.loopCounters.find(l => l.address === address);
+      if (outer) out.push({ level: "error", field, msg: `#${address} already counts the enclosing ${outer.name}; give this loop its own variable.` });
+      const named = node.toolId === "pattern" && !vctx.variables.has(String(node.params.counter).trim()) && vctx.declared.find(v => Number(v.address) === address);
+      if (named) out.push({ level: "error", field, msg: `#${address} is the variable ${named.name}; pick a free address or count on the name.` });
+      return out;
+    },
+  },
+  {
+    id: "pattern",
+    tools: ["pattern"],
+    check(node, vctx) {
+      const p = node.params, out = [];
+      if (p.mode === "grid") {
+        for (const k of ["columns", "rows"]) {
+          if (isNumeric(p[k]) && !gridCount(p[k])) out.push({ level: "error", field: k, msg: `${toLabel(k)} must be a whole number of at least 1.` });
+        }
+        if (!vctx.dialect.shift) out.push({ level: "error", field: "mode", msg: `${vctx.dialect.name} has no G52 shift; repeat over work offsets instead.` });
+        else if (vctx.inGrid) out.push({ level: "error", field: "mode", msg: "G52 shifts don't add up: this grid would replace the enclosing grid's shift and cancel it at the end." });
+      } else if (!parseOffsetList(p.offsets)) {
+        out.push({ level: "error", field: "offsets", msg: "List work offsets like G54-G56 or P1-12 (G154 P1–P99)." });
+      }
+      if (p.emit === "loop") {
+        const c = String(p.counter ?? "").trim();
+        if (!vctx.variables.has(c) && !/^#\d+$/.test(c)) {
+          out.push({ level: "error", field: "counter", msg: c ? `"${c}" is not a declared variable or #address.` : "Choose a counter variable." });
+        } else if (!out.length && !patternLoop(p, vctx.dialect)) {
+          out.push({ level: "warning", field: "emit", msg: vctx.dialect.maxLoopNesting
+            ? "Only an unbroken G154 P range can be looped; emitted unrolled."
+            : `${vctx.dialect.name} has no WHILE/DO loops; emitted unrolled.` });
+        }
+      }
+      if (!node.children?.length) out.push({ level: "warning", msg: "Add the cards to repeat for each part." });
+      return out;
+    },
+  },
+  {
+    id: "loop-nesting",
+    tools: ["while-block", "pattern"],
+    check(node, vctx) {
+      const max = vctx.dialect.maxLoopNesting;
+      if (node.toolId === "pattern" && !patternLoop(node.params, vctx.dialect)) return [];
+      if (!max || vctx.whileDepth <= max) return [];
+      return [{ level: "error", msg: `WHILE nested ${vctx.whileDepth} deep; ${vctx.dialect.name} allows DO1–DO${max}.` }];
+    },
+  },
+];
+
+// node id → issues, plus variable id → issues for bad declarations.
+function validateTree(tree, { dialect = CONTROLLERS.haas, settings = DEFAULT_SETTINGS, variables = [], units = "mm", programNumber = "" } = {}) {
+  const issues = new Map();
+  const vctx = {
+    dialect, settings: profileIn(settings, units), programNumber, tool: null, whileDepth: 0,
+    subroutines: collectSubroutines(tree), inSubroutine: 0,
+    variables: variableMap(variables), declared: variables, assigned: new Set(), lastProbe: null,
+    seen: new Set(), reportOpen: false, sources: new Map(),
+    captures: dialect.dprnt ? planCaptures(tree, variables, settings) : new Map(),
+    pos: UNKNOWN_POS, workOffset: "G54", shift: [0, 0], inGrid: false, loopCounters: [],
+    approach: !!settings.autoApproach,
+  };
+  const fired = new Map();  // node id → rules already reported, for cards a pattern visits again
+  walk(tree, (n) => { if (producesResults(n)) vctx.sources.set(n.id, n); });
+
+  const visit = (list) => {
+    list.forEach((node, i) => {
+      vctx.prevSibling = list[i - 1] || null;
+      const isWhile = node.toolId === "while-block" || (node.toolId === "pattern" && !!patternLoop(node.params, dialect));
+      if (isWhile) vctx.whileDepth++;
+      const start = approachApplies(node, vctx) && !isBlank(vctx.settings.safeZ) && probeStart(node);
+      if (start) vctx.pos = { X: axisValue(start.X), Y: axisValue(start.Y), Z: axisValue(start.Z) ?? Number(vctx.settings.safeZ) };
+      // a card a pattern visits once per part keeps the first issue each rule finds
+      const hit = fired.get(node.id) || new Set();
+      const found = VALIDATION_RULES
+        .filter(r => (!r.tools || r.tools.includes(node.toolId)) && !hit.has(r.id))
+        .flatMap((r) => {
+          const list = r.check(node, vctx);
+          if (list.length) hit.add(r.id);
+          return list;
+        });
+      fired.set(node.id, hit);
+      if (found.length) issues.set(node.id, [...(issues.get(node.id) || []), ...found]);
+      trackMotion(node, vctx);
+      if (node.toolId === "tool-change") vctx.tool = node.params.toolNumber;
+      if (node.toolId === "assign-var" || node.toolId === "store-result") vctx.assigned.add(String(node.params.target).trim());
+      if (node.toolId === "pattern" && node.params.emit === "loop") vctx.assigned.add(String(node.params.counter).trim());
+      if (producesResults(node)) vctx.lastProbe = node;
+      if (node.toolId === "report-open") vctx.reportOpen = true;
+      if (node.toolId === "report-close") vctx.reportOpen = false;
+      vctx.seen.add(node.id);
+      const outerApproach = vctx.approach;
+      vctx.approach = approachFor(node, vctx.approach);
+      if (node.toolId === "ts-measure-all") {
+        // children run once per listed tool; afterwards the last one stays loaded
+        const tools = parseToolList(node.params.tools);
+        vctx.tool = tools ? tools[0] : vctx.tool;
+        visit(node.children || []);
+        vctx.tool = tools ? tools.at(-1) : vctx.tool;
+      } else if (node.toolId === "pattern") {
+        // likewise per part, with its offset or shift active; an offset pattern leaves its last offset active
+        const parts = patternParts(node.params), outer = { shift: vctx.shift, inGrid: vctx.inGrid };
+        const counter = loopCounter(node, dialect, vctx.variables);
+        if (counter !== null) vctx.loopCounters.push({ address: counter, name: node.name || "Pattern" });
+        for (const part of parts ? patternCheckParts(node.params, parts) : [null]) {
+          if (part?.offset) vctx.workOffset = part.label;
+          if (part?.shift) Object.assign(vctx, { shift: [outer.shift[0] + part.shift[0], outer.shift[1] + part.shift[1]], inGrid: true });
+          visit(node.children || []);
+        }
+        if (parts && node.params.mode !== "grid") vctx.workOffset = parts.at(-1).label;
+        if (counter !== null) vctx.loopCounters.pop();
+        Object.assign(vctx, outer);
+      } else if (node.toolId === "while-block") {
+        const counter = loopCounter(node, dialect, vctx.variables);
+        if (counter !== null) vctx.loopCounters.push({ address: counter, name: node.name || "WHILE Loop" });
+        visit(node.children || []);
+        if (counter !== null) vctx.loopCounters.pop();
+      } else if (node.toolId === "subroutine") {
+        // a subprogram runs with whatever tool its caller loaded, and its own loop levels
+        const outer = { tool: vctx.tool, whileDepth: vctx.whileDepth, lastProbe: vctx.lastProbe, pos: vctx.pos, workOffset: vctx.workOffset, shift: vctx.shift, inGrid: vctx.inGrid, loopCounters: vctx.loopCounters };
+        Object.assign(vctx, { tool: null, whileDepth: 0, lastProbe: null, pos: UNKNOWN_POS, shift: [0, 0], inGrid: false, loopCounters: [], inSubroutine: vctx.inSubroutine + 1 });
+        visit(node.children || []);
+        Object.assign(vctx, outer, { inSubroutine: vctx.inSubroutine - 1 });
+      } else if (node.children) visit(node.children);
+      vctx.approach = outerApproach;
+      if (isWhile) vctx.whileDepth--;
+    });
+  };
+  visit(tree);
+  // declarations after the cards, so "first issue" is still a card when there is one
+  for (const v of variables) {
+    const found = variableIssues(v, variables);
+    if (found.length) issues.set(v.id, found);
+  }
+  return issues;
+}
+
+function issueCounts(issues) {
+  let errors = 0, warnings = 0;
+  for (const list of issues.values()) for (const i of list) i.level === "error" ? errors++ : warnings++;
+  return { errors, warnings };
+}
+
+// =================== G-code Import ===================
+// Parses a Haas program back into tree nodes. Structures the emitter produces
+// (folders, IF/WHILE blocks, known G65 cycles) become real nodes; everything
+// else is kept as raw-gcode passthrough so nothing is lost.
+
+// Comments are matched by their text so ";x" and "(x)" styles both import.
+const IMPORT_HEADER = [
+  /^%$/, /^O\d+/, /^G0 G17 G40 (G49 )?G80 G90$/, /^G2[01]$/,
+  /^[;(]Renishaw Probe Routine\b/, /^[;(]Program:/, /^[;(]Description:/, /^[;(]Part:/, /^[;(]Author:/, /^[;(]Controller:/, /^[;(]Date:/, /^[;(]Initialize program\)?$/,
+];
+const IMPORT_FOOTER = [/^%$/, /^[;(]End of probe routine\)?$/, /^G0 G53 Z0\.?$/, /^G91 G28 Z0\.?$/, /^G90$/, /^G30 P1$/, /^M30$/];
+
+// Other dialects' spellings are normalized to the Haas names the tree uses.
+function normalizeDialectLine(line) {
+  return line
+    .replace(/^((?:IF|WHILE|#(?!300[06]\b)).*?)\s+(?:;[^;]*|\([^()]*\))$/, "$1")  // trailing variable-name note
+    .replace(/^IF\s*\[(.*)\]\s*N(\w+)$/, "IF [$1] GOTO $2")
+    .replace(/^GOTO\s*N(\w+)$/, "GOTO $1")
+    .replace(/^G54\.1\s*P(\d+)$/, "G154 P$1")
+    .replace(/^G15\s*H(\d+)$/, (_, h) => (Number(h) <= 6 ? `G${53 + Number(h)}` : `G154 P${Number(h) - 6}`));
+}
+
+const commentText = (line) => line.match(/^(?:;(.*)|\((.*)\))$/)?.slice(1).find(t => t !== undefined) ?? null;
+
+function parseGCode(text) {
+  let lines = String(text).split(/\r?\n/).map(l => normalizeDialectLine(l.trim())).filter(Boolean);
+  // local subprograms (M97) live after M30
+  const end = lines.indexOf("M30");
+  const tail = end >= 0 ? lines.slice(end + 1) : [];
+  if (end >= 0) lines = lines.slice(0, end + 1);
+  while (lines.length && IMPORT_HEADER.some(re => re.test(lines[0]))) lines.shift();
+  while (lines.length && IMPORT_FOOTER.some(re => re.test(lines[lines.length - 1]))) lines.pop();
+  const reader = { lines, i: 0, calls: [] };
+  const nodes = parseBlock(reader, null, []).nodes;
+  const subs = parseLocalSubroutines({ lines: tail, i: 0, calls: reader.calls });
+  // calls whose subroutine isn't in this file stay as written
+  for (const { node, number, line } of reader.calls) {
+    const sub = subs.find(n => n.toolId === "subroutine" && Number(n.params.number) === number);
+    if (sub) node.params.target = sub.id;
+    else Object.assign(node, makeNode("raw-gcode", { text: line }), { id: node.id });
+  }
+  return nodes.concat(subs);
+}
+
+// N<n> / (Subroutine: NAME) / body / M99, repeated; anything else is kept raw.
+function parseLocalSubroutines(r) {
+  const out = [];
+  while (r.i < r.lines.length) {
+    const head = r.lines[r.i].match(/^N(\d+)$/);
+    if (!head) {
+      if (r.lines[r.i] !== "%") out.push(makeNode("raw-gcode", { text: r.lines[r.i] }));
+      r.i++;
+      continue;
+    }
+    const name = commentText(r.lines[r.i + 1] || "")?.match(/^Subroutine:\s*(.+)$/)?.[1];
+    const start = r.i;
+    r.i += name ? 2 : 1;
+    const res = parseBlock(r, (l) => l === "M99", []);
+    if (!res.closed) {
+      r.i = start;
+      out.push(makeNode("raw-gcode", { text: r.lines.slice(r.i).join("\n") }));
+      break;
+    }
+    out.push({ ...makeNode("subroutine", { name: name || `SUB ${head[1]}`, number: Number(head[1]), mode: "local" }), children: res.nodes });
+  }
+  return out;
+}
+
+// Reads statements until `until` matches (consumed) or an enclosing block's
+// terminator / EOF is reached (not consumed; closed = false).
+function parseBlock(r, until, outer) {
+  const nodes = [];
+  while (r.i < r.lines.length) {
+    const line = r.lines[r.i];
+    if (until && until(line)) { r.i++; return { nodes, closed: true }; }
+    if (outer.some(fn => fn(line))) break;
+    const node = parseStatement(r, until ? [until, ...outer] : outer);
+    const last = nodes[nodes.length - 1];
+    if (node.toolId === "raw-gcode" && last?.toolId === "raw-gcode") last.params.text += "\n" + node.params.text;
+    else nodes.push(node);
+    // an IF that also closed an ELSE hands the ELSE node back here
+    if (r.pendingNodes) { nodes.push(...r.pendingNodes); r.pendingNodes = null; }
+  }
+  return { nodes, closed: !until };
+}
+
+// Parses one statement (possibly a whole block) starting at r.i.
+function parseStatement(r, outer) {
+  const line = r.lines[r.i];
+  const start = r.i;
+  const tryBlock = (node, until) => {
+    r.i = start + 1;
+    const res = parseBlock(r, until, outer);
+    if (res.closed) { node.children = res.nodes; return node; }
+    r.i = start;
+    return null;
+  };
+
+  let m;
+  if ((m = commentText(line)?.match(/^=====\s*(.+?)\s*=====$/)) && !/^END\b/.test(m[1])) {
+    const name = m[1];
+    const node = tryBlock(makeNode("folder", { name }), (l) => commentText(l)?.trim() === `===== END ${name} =====`);
+    if (node) return node;
+  }
+
+  if ((m = line.match(/^WHILE\s*\[(.*)\]\s*DO\s*(\d+)$/))) {
+    const cond = parseCondition(m[1]);
+    const n = m[2];
+    if (cond) {
+      const node = tryBlock(makeNode("while-block", cond), (l) => new RegExp(`^END\\s*${n}$`).test(l));
+      if (node) return node;
+    }
+  }
+
+  // label / IF exit / body / GOTO label — a WHILE on controls without DO loops
+  const exit = r.lines[r.i + 1]?.match(/^IF\s*\[(.*)\]\s*GOTO\s*(\S+)$/);
+  if ((m = line.match(/^N(\S+)$/)) && exit && parseCondition(exit[1])) {
+    const cond = parseCondition(exit[1]);
+    r.i = start + 2;
+    const res = parseBlock(r, (l) => l === `GOTO ${m[1]}`, outer);
+    if (res.closed && r.lines[r.i] === `N${exit[2]}`) {
+      r.i++;
+      return { ...makeNode("while-block", { ...cond, op: CMP_NEGATION[cond.op] }), children: res.nodes };
+    }
+    r.i = start;
+  }
+
+  if ((m = line.match(/^IF\s*\[(.*)\]\s*GOTO\s*(\S+)$/))) {
+    const node = parseIf(r, m[1], m[2], outer);
+    if (node) return node;
+    r.i = start;
+  }
+
+  if ((m = line.match(/^T(\d+)\s*M0?6$/))) {
+    const params = { toolNumber: Number(m[1]), spindleSpeed: "", coolant: "" };
+    r.i++;
+    const s = r.lines[r.i]?.match(/^S(\d+)\s*M0?3$/);
+    if (s) { params.spindleSpeed = Number(s[1]); r.i++; }
+    if (/^M0?[789]$/.test(r.lines[r.i] || "")) { params.coolant = r.lines[r.i].replace(/^M0/, "M"); r.i++; }
+    return makeNode("tool-change", params);
+  }
+
+  if ((m = line.match(/^(G5[4-9])$/))) {
+    r.i++;
+    return makeNode("set-work-offset", { offset: m[1] });
+  }
+  if ((m = line.match(/^G154\s*P(\d+)$/))) {
+    r.i++;
+    return makeNode("set-work-offset", { offset: "G154", P: m[1] });
+  }
+
+  if ((m = line.match(/^G0?0((?:\s*[XYZ]\S+)+)$/))) {
+    const words = parseWords(m[1]);
+    if (words) { r.i++; return makeNode("rapid-move", { X: "", Y: "", Z: "", ...words }); }
+  }
+
+  if ((m = line.match(/^(#\d+)\s*=\s*([^;(]+)$/))) {
+    r.i++;
+    return makeNode("assign-var", { target: m[1], expr: m[2].trim() });
+  }
+
+  if ((m = line.match(/^(?:M9[78]\s*P|CALL\s+O)(\d+)(?:\s*[LQ](\d+))?$/))) {
+    r.i++;
+    const node = makeNode("call-subroutine", { L: m[2] ? Number(m[2]) : 1 });
+    r.calls?.push({ node, number: Number(m[1]), line });
+    return node;
+  }
+
+  if ((m = line.match(/^G65\s*(P\d+)(.*)$/) || line.match(/^CALL\s+O(?:O|P)(\d+)(.*)$/))) {
+    if (!m[1].startsWith("P")) m[1] = "P" + m[1];
+    const words = parseWords(m[2]);
+    for (const t of TOOLS.filter(t => t.cycle === m[1] && t.parse)) {
+      const params = words && t.parse(words);
+      if (params) { r.i++; return makeNode(t.id, params); }
+    }
+  }
+
+  r.i = start + 1;
+  return makeNode("raw-gcode", { text: line });
+}
+
+// IF shapes recognized:
+//   IF [c] GOTO n / ...body / Nn                         (skip-ahead)  → IF !c
+//   IF [c] GOTO a / ...then / GOTO b / Na / ...else / Nb (with ELSE)   → IF !c + ELSE
+//   IF [c] GOTO a / GOTO b / Na / ...body / Nb           (older builds) → IF c
+function parseIf(r, condText, target, outer) {
+  const cond = parseCondition(condText);
+  if (!cond) return null;
+  const start = r.i;
+  let i = start + 1;
+  if (/^\(?IF false\b/.test(commentText(r.lines[i] || "")?.trim() || "")) i++;
+  const skip = r.lines[i]?.match(/^GOTO\s*(\S+)$/);
+  const isLabel = (name) => (l) => l === `N${name}`;
+
+  if (skip && r.lines[i + 1] === `N${target}`) {
+    r.i = i + 2;
+    const res = parseBlock(r, isLabel(skip[1]), outer);
+    if (res.closed) return { ...makeNode("if-block", cond), children: res.nodes };
+    r.i = start;
+  }
+
+  r.i = start + 1;
+  const res = parseBlock(r, isLabel(target), outer);
+  if (!res.closed) return null;
+  const ifNode = { ...makeNode("if-block", { ...cond, op: CMP_NEGATION[cond.op] }), children: res.nodes };
+
+  // "... GOTO end / Ntarget / else body / Nend" → IF + ELSE
+  const last = res.nodes[res.nodes.length - 1];
+  const jump = last?.toolId === "raw-gcode" && last.params.text.split("\n").pop().match(/^GOTO\s*(\S+)$/);
+  if (jump) {
+    const afterThen = r.i;
+    const elseRes = parseBlock(r, isLabel(jump[1]), outer);
+    if (elseRes.closed) {
+      const thenLines = last.params.text.split("\n").slice(0, -1);
+      if (thenLines.length) last.params.text = thenLines.join("\n");
+      else res.nodes.pop();
+      r.pendingNodes = [{ ...makeNode("else-block"), children: elseRes.nodes }];
+      return ifNode;
+    }
+    r.i = afterThen;
+  }
+  return ifNode;
+}
+
+// "#100 GT #101" → { left, op, right }; null for compound (AND/OR) conditions.
+function parseCondition(text) {
+  const m = String(text).trim().match(/^(.+?)\s+(EQ|NE|GT|GE|LT|LE)\s+(.+)$/i);
+  if (!m || /\b(AND|OR|XOR)\b/i.test(text)) return null;
+  return { left: m[1].trim(), op: m[2].toUpperCase(), right: m[3].trim() };
+}
+
+// "X-10. Y#100 Z[#5 + 2]" → { X: -10, Y: "#100", Z: "[#5 + 2]" }; null if unparseable.
+function parseWords(text) {
+  const out = {};
+  let s = String(text).trim();
+  while (s) {
+    const m = s.match(/^([A-Z])\s*=?\s*/);
+    if (!m || m[1] in out) return null;
+    s = s.slice(m[0].length);
+    const val = readWordValue(s);
+    if (!val) return null;
+    out[m[1]] = /^[-+]?(\d+\.?\d*|\.\d+)$/.test(val) ? parseFloat(val) : val;
+    s = s.slice(val.length).trimStart();
+  }
+  return out;
+}
+
+function readWordValue(s) {
+  const sign = /^[-+]/.test(s) ? s[0] : "";
+  const rest = s.slice(sign.length);
+  if (rest.startsWith("[")) {
+    let depth = 0;
+    for (let i = 0; i < rest.length; i++) {
+      if (rest[i] === "[") depth++;
+      if (rest[i] === "]" && --depth === 0) return sign + rest.slice(0, i + 1);
+    }
+    return null;
+  }
+  const m = rest.match(/^(#\d+|\d+\.?\d*|\.\d+)/);
+  return m ? sign + m[0] : null;
+}
+
+// =================== Dry-run Simulator ===================
+// Steps through emitted program files against a mock machine: # variables,
+// IF/GOTO, WHILE/DO/END, subprogram calls, G0/G53 moves, G52 shifts and DPRNT output.
+// G65 P98xx cycles are stubs: measuring cycles write PROBE_RESULTS as nominal
+// + the simulated error from `results` ({ "*": { X, Size, … }, P9814: { … } },
+// the cycle's own entry winning), everything else is only traced. A run ends
+// at M30, an alarm, a loop that comes round with no variable changed, or
+// after `maxSteps` lines.
+
+const SIM_MAX_STEPS = 20000;
+const SIM_TRACE_LIMIT = 2000;
+const SIM_RESULT_KEYS = Object.keys(PROBE_RESULTS);
+const SIM_MEASURING = new Set(TOOLS.filter(t => t.cycle && t.results).map(t => t.cycle));
+
+// Okuma system arrays (VTOFH[3]) become plain names the expression parser reads.
+const simSysArrays = (text) =>
+  text.replace(/\b([A-Z][A-Z0-9]+)\[(\d+)\]/g, (m, name, i) => (MACRO_KEYWORDS.has(name) ? m : `${name}_${i}`));
+
+// One statement per line: { kind, ... } with comments removed.
+function simStatement(raw) {
+  const message = raw.match(/\(([^()]*)\)/)?.[1] ?? null;
+  const line = normalizeDialectLine(raw.trim()).replace(/;.*$/, "").replace(/\([^()]*\)/g, "").trim().toUpperCase();
+  let m;
+  if (!line || line === "%") return { kind: "blank" };
+  if ((m = line.match(/^N(\d+)$/))) return { kind: "label", label: Number(m[1]) };
+  if (/^O\d+$/.test(line)) return { kind: "blank" };
+  if ((m = line.match(/^IF\s*\[(.*)\]\s*GOTO\s*(\d+)$/))) return { kind: "if", cond: m[1], target: Number(m[2]) };
+  if ((m = line.match(/^GOTO\s*(\d+)$/))) return { kind: "goto", target: Number(m[1]) };
+  if ((m = line.match(/^WHILE\s*\[(.*)\]\s*DO(\d)$/))) return { kind: "while", cond: m[1], loop: Number(m[2]) };
+  if ((m = line.match(/^END(\d)$/))) return { kind: "end", loop: Number(m[1]) };
+  if ((m = line.match(/^VUACM\[1\]\s*=\s*'(.*)'$/i))) return { kind: "alarmText", message: raw.match(/'(.*)'/)?.[1] ?? m[1] };
+  if ((m = line.match(/^VDOUT\[992\]\s*=\s*(.+)$/))) return { kind: "alarm", expr: m[1] };
+  if ((m = line.match(/^#\s*3000\s*=\s*(.+)$/))) return { kind: "alarm", expr: m[1], message };
+  if ((m = line.match(/^#\s*3006\s*=\s*(.+)$/))) return { kind: "stop", message };
+  if ((m = line.match(/^(#\d+|#\[.+?\]|[A-Z][A-Z0-9]+\[\d+\])\s*=\s*(.+)$/))) return { kind: "assign", target: m[1], expr: m[2] };
+  if ((m = line.match(/^(?:G65\s*P|CALL\s+OO)(\d+)(.*)$/))) return { kind: "cycle", number: Number(m[1]), words: m[2].trim() };
+  if ((m = line.match(/^M97\s*P(\d+)(?:\s*L(\d+))?$/))) return { kind: "call", local: true, number: Number(m[1]), times: Number(m[2] || 1) };
+  if ((m = line.match(/^(?:M98\s*P|CALL\s+O)(\d+)(?:\s*[LQ](\d+))?$/))) return { kind: "call", local: false, number: Number(m[1]), times: Number(m[2] || 1) };
+  if (/^(M99|RTS)$/.test(line)) return { kind: "return" };
+  if (/^M(30|0?2)$/.test(line)) return { kind: "exit" };
+  if (/^M0?[01]$/.test(line) || /^MSG\b/.test(line)) return { kind: "stop", message };
+  if (line === "POPEN" || line === "PCLOS") return { kind: "blank" };
+  if ((m = line.match(/^DPRNT\[(.*)\]$/))) return { kind: "print", body: m[1] };
+  return { kind: "words", text: line };
+}
+
+// { files: [{ name, number, lines: [{ text, st }], labels, loops }], byNumber }
+function simParse(files) {
+  const prog = { files: [], byNumber: new Map() };
+  files.forEach((f, fi) => {
+    const lines = String(f.text).split(/\r?\n/).map(text => ({ text, st: simStatement(text) }));
+    const labels = new Map(), loops = new Map(), open = [], duplicates = [];
+    lines.forEach(({ st }, i) => {
+      // jumps go to the first of two equal labels, like the controls search
+      if (st.kind === "label" && labels.has(st.label)) duplicates.push({ label: st.label, line: i + 1, first: labels.get(st.label) + 1 });
+      else if (st.kind === "label") labels.set(st.label, i);
+      if (st.kind === "while") open.push({ loop: st.loop, at: i });
+      if (st.kind === "end") {
+        const j = open.map(o => o.loop).lastIndexOf(st.loop);
+        if (j >= 0) { loops.set(open[j].at, i); loops.set(i, open[j].at); open.splice(j, 1); }
+      }
+    });
+    const number = Number(lines.find(l => /^\s*O\d+\s*$/.test(l.text))?.text.trim().slice(1));
+    prog.files.push({ name: f.name, number, lines, labels, loops, duplicates });
+    if (fi > 0 && Number.isFinite(number)) prog.byNumber.set(number, fi);
+  });
+  return prog;
+}
+
+// Labels no path from the program start reaches, jumps to missing labels and
+// labels written twice in one file.
+function simStaticCheck(prog) {
+  const seen = new Set(), missing = [];
+  const queue = [[0, 0]];
+  const push = (f, i) => { if (prog.files[f] && i < prog.files[f].lines.length && !seen.has(`${f}:${i}`)) queue.push([f, i]); };
+  const jump = (f, i, label) => {
+    const at = prog.files[f].labels.get(label);
+    if (at === undefined) missing.push({ file: prog.files[f].name, line: i + 1, label });
+    else push(f, at);
+  };
+  while (queue.length) {
+    const [f, i] = queue.pop();
+    const key = `${f}:${i}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const { st } = prog.files[f].lines[i];
+    const loops = prog.files[f].loops;
+    if (st.kind === "goto") { jump(f, i, st.target); continue; }
+    if (["exit", "return", "alarm"].includes(st.kind)) continue;
+    if (st.kind === "if") jump(f, i, st.target);
+    if (st.kind === "while" && loops.has(i)) push(f, loops.get(i) + 1);
+    if (st.kind === "end" && loops.has(i)) { push(f, loops.get(i)); continue; }
+    if (st.kind === "call") {
+      if (st.local) jump(f, i, st.number);
+      else if (prog.byNumber.has(st.number)) push(prog.byNumber.get(st.number), 0);
+    }
+    push(f, i + 1);
+  }
+  const unreachable = [];
+  prog.files.forEach((file, f) => {
+    for (const [label, i] of file.labels) if (!seen.has(`${f}:${i}`)) unreachable.push({ file: file.name, line: i + 1, label });
+  });
+  const duplicates = prog.files.flatMap(file => file.duplicates.map(d => ({ file: file.name, ...d })));
+  return { unreachable, missing, duplicates };
+}
+
+function simEval(ast, read) {
+  const num = (v) => (v === null || v === true || v === false ? Number(v ?? 0) : v);
+  const deg = Math.PI / 180;
+  const go = (n) => {
+    switch (n.type) {
+      case "num": return n.value;
+      case "var": return read(Math.round(num(go(n.index))));
+      case "name": return read(n.name);
+      case "neg": return -num(go(n.arg));
+      case "call": {
+        const [a, b] = n.args.map(x => num(go(x)));
+        const f = {
+          SIN: () => Math.sin(a * deg), COS: () => Math.cos(a * deg), TAN: () => Math.tan(a * deg),
+          ASIN: () => Math.asin(a) / deg, ACOS: () => Math.acos(a) / deg,
+          ATAN: () => (b === undefined ? Math.atan(a) : Math.atan2(a, b)) / deg,
+          SQRT: () => Math.sqrt(a), ABS: () => Math.abs(a), ROUND: () => Math.round(a),
+          FIX: () => Math.floor(a), FUP: () => Math.ceil(a), LN: () => Math.log(a), EXP: () => Math.exp(a),
+          BIN: () => a, BCD: () => a,
+        }[n.fn];
+        return f();
+      }
+      case "bin": {
+        const l = go(n.left), r = go(n.right);
+        if (n.op === "EQ") return l === r || (l !== null && r !== null && num(l) === num(r));
+        if (n.op === "NE") return !(l === r || (l !== null && r !== null && num(l) === num(r)));
+        const [x, y] = [num(l), num(r)];
+        switch (n.op) {
+          case "+": return x + y;
+          case "-": return x - y;
+          case "*": return x * y;
+          case "/": if (y === 0) throw new Error("Division by zero"); return x / y;
+          case "MOD": return x % y;
+          case "GT": return x > y;
+          case "GE": return x >= y;
+          case "LT": return x < y;
+          case "LE": return x <= y;
+          case "AND": return typeof l === "boolean" ? l && r : x & y;
+          case "OR": return typeof l === "boolean" ? l || r : x | y;
+          case "XOR": return typeof l === "boolean" ? l !== r : x ^ y;
+        }
+      }
+    }
+    throw new Error(`Cannot evaluate ${n.type}`);
+  };
+  return go(ast);
+}
+
+const simFormat = (v) => (v === null || v === undefined ? "<vacant>" : typeof v === "boolean" ? String(v) : String(Math.round(v * 1e4) / 1e4));
+
+// Runs program `files` ([{ name, text }], main program first).
+function simulateProgram(files, { results = {}, maxSteps = SIM_MAX_STEPS } = {}) {
+  const prog = simParse(files);
+  const { unreachable, missing, duplicates } = simStaticCheck(prog);
+  const vars = new Map();
+  const out = {
+    status: "end", message: "", at: null, steps: 0, trace: [], truncated: 0,
+    prints: [], loops: [], unreachable, missing, duplicates, variables: [], position: { X: null, Y: null, Z: null }, tool: null,
+  };
+  const read = (k) => (vars.has(k) ? vars.get(k) : null);
+  const evalText = (text) => simEval(parseMacroExpr(simSysArrays(text)), read);
+  const target = (t) => {
+    if (t.startsWith("#")) return Math.round(evalText(t.slice(1)));
+    return simSysArrays(t);
+  };
+  const pos = out.position, mode = { abs: true };
+  const stack = [];   // { f, i, times } return points
+  const loopStates = new Map();
+  let f = 0, i = 0, alarmText = "";
+
+  const note = (text) => {
+    if (out.trace.length >= SIM_TRACE_LIMIT) { out.truncated++; return; }
+    out.trace.push({ file: prog.files[f].name, line: i + 1, text: prog.files[f].lines[i].text.trim(), note: text });
+  };
+  const stop = (status, message) => { out.status = status; out.message = message; out.at = { file: prog.files[f].name, line: i + 1 }; };
+  const jumpTo = (label) => {
+    const at = prog.files[f].labels.get(label);
+    if (at === undefined) stop("error", `N${label} not found`);
+    else backTo(at);
+  };
+  // a backward jump that finds the machine exactly as last time it came round never ends
+  const backTo = (at) => {
+    if (at <= i) {
+      const key = `${f}:${at}:${stack.map(s => `${s.f}.${s.i}.${s.times}`).join("/")}`;
+      const snap = JSON.stringify([...vars].sort((a, b) => String(a[0]).localeCompare(String(b[0]))));
+      const seen = loopStates.get(key) || new Set();
+      if (seen.has(snap)) {
+        const head = prog.files[f].lines[at].text.trim();
+        out.loops.push({ file: prog.files[f].name, line: at + 1, text: head });
+        i = at;
+        stop("loop", `Infinite loop: "${head}" repeats with no variable changed`);
+        return;
+      }
+      seen.add(snap);
+      loopStates.set(key, seen);
+    }
+    i = at;
+  };
+  // letter → value of each word; bracketed values are read whole, nesting and all
+  const wordValues = (text, letters = /[A-Z]/) => {
+    const args = {};
+    for (let k = 0; k < text.length; k++) {
+      const m = text.slice(k).match(/^([A-Z])\s*=?\s*/);
+      const v = m && readWordValue(text.slice(k + m[0].length));
+      if (!v) continue;
+      if (letters.test(m[1])) args[m[1]] = v.includes("#") || v.includes("[") ? evalText(v) : Number(v);
+      k += m[0].length + v.length - 1;
+    }
+    return args;
+  };
+  const move = (words) => {
+    const g = [...words.matchAll(/G(\d+(?:\.\d+)?)/g)].map(m => Number(m[1]));
+    if (g.includes(90)) mode.abs = true;
+    if (g.includes(91)) mode.abs = false;
+    const axes = wordValues(words, /[XYZ]/);
+    const t = words.match(/T(\d+)\s*M0?6/);
+    if (t) out.tool = Number(t[1]);
+    if (!Object.keys(axes).length) return t ? `tool T${t[1]}` : null;
+    // positions stay in work coordinates, so a shifted zero is only traced
+    if (g.includes(52)) return `shift ${Object.entries(axes).map(([k, v]) => `${k}${simFormat(v)}`).join(" ")}`;
+    if (g.includes(53) || g.includes(28) || g.includes(30)) return `machine ${Object.entries(axes).map(([k, v]) => `${k}${v}`).join(" ")}`;
+    for (const [k, v] of Object.entries(axes)) pos[k] = mode.abs || pos[k] === null ? v : pos[k] + v;
+    return `at ${["X", "Y", "Z"].map(k => `${k}${simFormat(pos[k])}`).join(" ")}`;
+  };
+  const cycleWords = (text) => wordValues(String(text));
+  const stub = (number, args) => {
+    const P = `P${number}`;
+    if (P === "P9810") {
+      for (const k of ["X", "Y", "Z"]) if (k in args) pos[k] = args[k];
+      return `protected move to ${["X", "Y", "Z"].map(k => `${k}${simFormat(pos[k])}`).join(" ")}`;
+    }
+    if (!SIM_MEASURING.has(P)) return `${P} stubbed`;
+    const err = { ...results["*"], ...results[P] };
+    const nominal = { X: args.X ?? pos.X ?? 0, Y: args.Y ?? pos.Y ?? 0, Z: args.Z ?? pos.Z ?? 0, Size: args.D ?? args.W ?? args.L ?? 0, Angle: args.A ?? 0 };
+    for (const k of SIM_RESULT_KEYS) {
+      const e = Number(err[k]) || 0;
+      vars.set(PROBE_RESULTS[k].value, nominal[k] + e);
+      vars.set(PROBE_RESULTS[k].error, e);
+    }
+    vars.set(TRUE_POSITION_ERROR, Math.hypot(Number(err.X) || 0, Number(err.Y) || 0));
+    return `${P} stub: ${SIM_RESULT_KEYS.map(k => `${PROBE_RESULTS[k].short} ${simFormat(vars.get(PROBE_RESULTS[k].value))}`).join(", ")}`;
+  };
+  const print = (body) => body.split("*").map(part => {
+    const m = part.match(/^\[(#\d+)\[(\d)(\d)\]\]$/);
+    if (!m) return part;
+    const v = evalText(m[1]);
+    return simFormat(v) === "<vacant>" ? "" : Number(v).toFixed(Number(m[3]));
+  }).join(" ");
+
+  try {
+    while (out.status === "end" && !out.at) {
+      const file = prog.files[f];
+      if (i >= file.lines.length) {
+        if (!stack.length) { stop("end", "Ran off the end of the program without M30"); break; }
+        ({ f, i } = stack.pop()); i++;
+        continue;
+      }
+      if (++out.steps > maxSteps) { stop("limit", `Stopped after ${maxSteps} lines; a loop may not end`); break; }
+      const { st } = file.lines[i];
+      switch (st.kind) {
+        case "blank": case "label": break;
+        case "assign": {
+          const k = target(st.target), v = evalText(st.expr);
+          vars.set(k, v);
+          note(`${typeof k === "number" ? `#${k}` : k.replace(/_(\d+)$/, "[$1]")} = ${simFormat(v)}`);
+          break;
+        }
+        case "if": {
+          const yes = !!evalText(st.cond);
+          note(yes ? `true → N${st.target}` : "false");
+          if (yes) { jumpTo(st.target); continue; }
+          break;
+        }
+        case "goto": note(`→ N${st.target}`); jumpTo(st.target); continue;
+        case "while": {
+          const yes = !!evalText(st.cond);
+          note(yes ? "true" : "false → after END");
+          if (!yes) { i = (file.loops.get(i) ?? i) + 1; continue; }
+          break;
+        }
+        case "end": {
+          note("↑ WHILE");
+          if (!file.loops.has(i)) stop("error", `END${st.loop} without WHILE`);
+          else backTo(file.loops.get(i));
+          continue;
+        }
+        case "alarmText": alarmText = st.message; break;
+        case "alarm": {
+          const n = simFormat(evalText(st.expr));
+          note("alarm");
+          stop("alarm", `Alarm ${n}: ${st.message ?? alarmText}`);
+          continue;
+        }
+        case "stop": note(`stop${st.message ? `: ${st.message}` : ""} (cycle start assumed)`); break;
+        case "print": { const text = print(st.body); out.prints.push(text); note(`prints "${text}"`); break; }
+        case "cycle": {
+          if (prog.byNumber.has(st.number)) {
+            note(`→ O${st.number}`);
+            stack.push({ f, i, times: 1 });
+            f = prog.byNumber.get(st.number); i = 0;
+            continue;
+          }
+          note(stub(st.number, cycleWords(st.words)));
+          break;
+        }
+        case "call": {
+          if (st.local) {
+            const at = file.labels.get(st.number);
+            if (at === undefined) { stop("error", `M97 P${st.number}: no N${st.number} in this file`); continue; }
+            note(`→ N${st.number}${st.times > 1 ? ` ×${st.times}` : ""}`);
+            stack.push({ f, i, times: st.times, entry: at });
+            i = at;
+            continue;
+          }
+          if (!prog.byNumber.has(st.number)) { stop("error", `O${st.number} is not part of this program`); continue; }
+          note(`→ O${st.number}${st.times > 1 ? ` ×${st.times}` : ""}`);
+          stack.push({ f, i, times: st.times, entry: 0, file: prog.byNumber.get(st.number) });
+          f = prog.byNumber.get(st.number); i = 0;
+          continue;
+        }
+        case "return": {
+          if (!stack.length) { note("end"); stop("end", "M99 in the main program"); continue; }
+          const top = stack[stack.length - 1];
+          if (top.times > 1) {
+            top.times--;
+            note(`↑ repeat (${top.times} left)`);
+            if (top.file !== undefined) f = top.file;
+            i = top.entry;
+            continue;
+          }
+          note("return");
+          stack.pop();
+          ({ f, i } = top);
+          break;
+        }
+        case "exit": note("end"); stop("end", "Reached M30"); continue;
+        case "words": { const m = move(st.text); if (m) note(m); break; }
+      }
+      i++;
+    }
+  } catch (err) {
+    stop("error", err.message);
+  }
+  out.variables = [...vars]
+    .sort((a, b) => (typeof a[0] === typeof b[0] ? (a[0] < b[0] ? -1 : 1) : typeof a[0] === "number" ? -1 : 1))
+    .map(([k, v]) => [typeof k === "number" ? `#${k}` : k.replace(/_(\d+)$/, "[$1]"), v]);
+  return out;
+}
+
+return {
+  // model
+  DEFAULT_SETTINGS, DEFAULT_PROGRAM_HEADER, uid, makeProgram, makeNode,
+  walk, findNode, cardNumber, findPreceding, isDescendant, eachContainer, collectSubroutines,
+  // registry
+  CONTROLLERS, dialectFor, TOOLS, TOOL_BY_ID, UI_SCHEMAS, PROBE_RESULTS, toLabel,
+  // units
+  UNITS, unitsOf, fromMm, fieldUnit, fieldStep, convertUnits, gcodeUnits,
+  // projects
+  PROJECT_FORMAT, PROJECT_SCHEMA_VERSION, migrateProject,
+  // custom tools
+  CUSTOM_CATEGORIES, CUSTOM_PARAM_TYPES, CUSTOM_PARAM_UNITS, normalizeCustomTool, customToolErrors, fillTemplate,
+  registerCustomTools, customToolLibrary, readCustomToolLibrary,
+  // emitter
+  generateProgramFiles, generateGCode, generateListing, programFileName,
+  // variables & validation
+  MACRO_KEYWORDS, isInspectionVar, allocateVarAddress, addressesInUse, variableIssues, mapMacroNames, isNumeric, varFields,
+  validateTree, issueCounts,
+  // import & dry run
+  parseGCode, simulateProgram,
+};
+});